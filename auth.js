@@ -3,10 +3,11 @@ const crypto = require("crypto");
 /**
  * Authentication guards.
  *
- * Phase 0 ships requireAdminKey only. requireUser / requireShop (Firebase ID token
- * verification) land in Phase 1 alongside the coordinated client release that starts
- * sending Authorization headers — adding them here before the clients send tokens
- * would return 401 to every user in the field.
+ * requireAdminKey guards operator routes. requireUser (Firebase ID token verification)
+ * guards customer routes that are new enough for every client calling them to send an
+ * Authorization header; existing routes adopt it with the coordinated client release of
+ * Phase 1, since adding it earlier would return 401 to every user in the field.
+ * requireShop follows the same plan.
  *
  * The shared admin key is an interim measure. Phase 6.10 replaces it with per-operator
  * Firebase identities carrying a role claim, so that access is attributable and
@@ -45,4 +46,27 @@ function requireAdminKey(req, res, next) {
   next();
 }
 
-module.exports = { requireAdminKey };
+/**
+ * Customer guard. Expects `Authorization: Bearer <Firebase ID token>` from the customer
+ * app's Firebase project and sets `req.user` to { uid, email }. Revoked tokens are
+ * refused as well as expired ones.
+ */
+async function requireUser(req, res, next) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) {
+    return res.status(401).json({ error: "Sign in required" });
+  }
+
+  try {
+    const { customerAuth } = require("./firebase");
+    const decoded = await customerAuth.verifyIdToken(match[1], true);
+    req.user = { uid: decoded.uid, email: decoded.email || null };
+  } catch (err) {
+    console.warn(`⚠️ Rejected customer request to ${req.path}: ${err.code || err.message}`);
+    return res.status(401).json({ error: "Invalid or expired sign-in" });
+  }
+  next();
+}
+
+module.exports = { requireAdminKey, requireUser };
@@ -0,0 +1,126 @@
+const { admin, dbAdmin } = require("./firebase");
+const { deleteOrderFilesFromCloudinary } = require("./cleanup");
+const { currentState, transitionOrder, recordTransition } = require("./order_lifecycle");
+const { refundOrder, refundableAmount, refundedAmountOf } = require("./refund_service");
+
+/**
+ * Customer cancellation.
+ *
+ * A customer can cancel a paid order until the shop starts printing it. What is left of
+ * the payment (see refund_service.js) is refunded, less CANCELLATION_FEE (rupees, default
+ * 0); the files are purged and the shop's mirror is removed. The customer record is kept,
+ * marked cancelled.
+ */
+
+const CANCELLATION_FEE = Math.max(0, Number(process.env.CANCELLATION_FEE) || 0);
+
+// Lifecycle states a customer may cancel from (see order_lifecycle.js)
+const CUSTOMER_CANCELLABLE_STATES = ["paid", "processing", "queued"];
+
+/**
+ * What a cancellation would refund: { paid, alreadyRefunded, fee, refund }, in rupees.
+ */
+function cancellationRefund(orderData) {
+  const paid = Number(orderData.totalPaid ?? orderData.amount) || 0;
+  const refundable = refundableAmount(orderData);
+  const fee = Math.min(CANCELLATION_FEE, refundable);
+  return { paid, alreadyRefunded: refundedAmountOf(orderData), fee, refund: Math.round((refundable - fee) * 100) / 100 };
+}
+
+function refusal(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Cancels `orderRef` on behalf of the signed-in customer `user` ({ uid }). Throws a 403
+ * for someone else's order and a 409 when the order can no longer be cancelled.
+ *
+ * Returns { refundAmount, fee, refundId, refundError }. A refund that Razorpay rejects
+ * does not undo the cancellation; it is recorded on the order for an operator.
+ */
+async function cancelOrderForCustomer(orderRef, user, { reason = null } = {}) {
+  const orderData = (await orderRef.get()).data();
+  if (!orderData.userId || orderData.userId !== user.uid) {
+    throw refusal(403, "This order belongs to another account");
+  }
+
+  const state = currentState(orderData);
+  if (!CUSTOMER_CANCELLABLE_STATES.includes(state)) {
+    throw refusal(409, state === "printing" || state === "ready" || state === "collected"
+      ? "The shop has already started on this order, so it can no longer be cancelled"
+      : `This order cannot be cancelled (${state})`);
+  }
+  // Atomic with the state check, so a print marked at the same moment wins cleanly and a
+  // repeated cancel cannot refund twice. An order the worker is preparing right now is
+  // refused as well; the worker itself stops before mirroring an order cancelled while it
+  // was queued (order_processing.js).
+  const move = await transitionOrder(orderRef, "cancelled", {
+    check: (current) => {
+      if (current.processingStatus === "processing") {
+        throw refusal(409, "Your files are being prepared right now. Please try again in a minute.");
+      }
+    },
+    actor: { type: "customer", id: user.uid },
+    reason: reason || "Cancelled by customer",
+    updates: {
+      status: "CANCELLED",
+      ...(orderData.processingStatus ? { processingStatus: "cancelled" } : {}),
+      cancelledBy: "customer",
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  });
+  if (!move.changed) throw refusal(409, "This order is already cancelled");
+
+  const orderId = orderRef.id;
+  const { fee, refund } = cancellationRefund(orderData);
+  let refundId = null;
+  let refundAmount = 0;
+  let refundError = null;
+
+  // 💸 1. REFUND (less the cancellation fee)
+  if (refund > 0) {
+    try {
+      const result = await refundOrder(orderRef, {
+        amount: refund,
+        reason: reason || "Cancelled by customer",
+        kind: "cancellation",
+        actor: { type: "customer", id: user.uid },
+      });
+      if (result.refundId) {
+        refundId = result.refundId;
+        refundAmount = result.amount;
+        await recordTransition(orderRef, "refunded", { actor: { type: "system", id: null }, reason: `Refund ${refundId}` });
+      }
+    } catch (refErr) {
+      console.error(`⚠️ Cancellation refund failed for ${orderId}: ${refErr.message}`);
+      refundError = refErr.message;
+    }
+  }
+  await orderRef.update({
+    cancellation: { fee, refundAmount, refundId, refundError },
+  });
+
+  // 🗑️ 2. DELETE FILES FROM STORAGE
+  try {
+    await deleteOrderFilesFromCloudinary(orderId, orderData, "xerox_orders");
+  } catch (cloudErr) {
+    console.error(`⚠️ File Purge Failed for cancelled ${orderId}: ${cloudErr.message}`);
+  }
+
+  // 🔥 3. REMOVE THE SHOP MIRROR
+  if (orderData.shopId) {
+    await dbAdmin.collection("shops").doc(orderData.shopId).collection("orders").doc(orderId).delete().catch(() => null);
+  }
+
+  console.log(`🛑 Order ${orderId} cancelled by customer ${user.uid}.`);
+  return { refundAmount, fee, refundId, refundError };
+}
+
+module.exports = {
+  CANCELLATION_FEE,
+  CUSTOMER_CANCELLABLE_STATES,
+  cancellationRefund,
+  cancelOrderForCustomer,
+};
@@ -1,6 +1,6 @@
-const { dbCustomer: db, dbAdmin, admin } = require("./firebase");
-const { cloudinary, configB, getConfigForUrl } = require("./cloudinary");
-const razorpayInstance = require("./razorpay");
+const { dbCustomer: db, dbAdmin, admin, findCustomerOrder } = require("./firebase");
+const storage = require("./storage");
+const { refundOrder } = require("./refund_service");
 
 // ============================================================================
 // AUTO CLEANUP FUNCTION (Background)
@@ -36,7 +36,16 @@ async function performCleanup() {
 }
 
 async function deleteOrderFilesFromCloudinary(orderId, orderData, colName) {
-    const publicIds = orderData.publicIds || [];
+    // Converted documents and composed images keep their original uploads on the file entry
+    const sourcePublicIds = (orderData.printSettings?.files || [])
+        .flatMap(f => [f.sourcePublicId, ...(f.sourcePublicIds || [])])
+        .filter(Boolean);
+    const publicIds = [
+        ...(orderData.publicIds || []),
+        ...sourcePublicIds,
+        ...(orderData.previewPublicIds || []),
+        ...(orderData.jobPublicId ? [orderData.jobPublicId] : []),
+    ];
     const toDeleteIds = [];
     const displayCode = orderData.pickupCode || orderData.orderCode || orderData.id;
     console.log(`🔍 [${orderId}] Cleanup Check: publicIds=[${publicIds.join(', ')}], code=${displayCode}`);
@@ -54,23 +63,19 @@ async function deleteOrderFilesFromCloudinary(orderId, orderData, colName) {
 
     // 2️⃣ PREFIX-BASED PURGE (Aggressive - catches untracked files like "602862_1" or "file")
     const firstUrl = orderData.fileUrls && orderData.fileUrls.length > 0 ? orderData.fileUrls[0] : null;
-    const resolvedConfig = getConfigForUrl(firstUrl);
-    cloudinary.config(resolvedConfig);
 
     if (displayCode) {
         const foldersToTry = ["xerox_orders", "xerox_processed_orders", "xerox_shop"];
         for (const prefix of foldersToTry) {
             const folderPath = `${prefix}/${displayCode}`;
             console.log(`🧹 Attempting prefix-wipe for: ${folderPath}`);
-            await cloudinary.api.delete_resources_by_prefix(folderPath).catch(() => null);
-            await cloudinary.api.delete_folder(folderPath).catch(() => null);
+            await storage.deleteByPrefix(folderPath, { alongside: firstUrl });
         }
     }
 
     if (toDeleteIds.length > 0) {
         console.log(`🗑️ Deleting ${toDeleteIds.length} verified unique files for ${orderId}...`);
-        await cloudinary.api.delete_resources(toDeleteIds, { resource_type: 'image' }).catch(() => null);
-        await cloudinary.api.delete_resources(toDeleteIds, { resource_type: 'raw' }).catch(() => null);
+        await storage.delete(toDeleteIds, { alongside: firstUrl });
     }
 }
 
@@ -79,6 +84,10 @@ async function deleteOrderFilesFromCloudinary(orderId, orderData, colName) {
 // ============================================================================
 async function cleanupOrder(orderId, orderData, colName = "xerox_orders") {
     try {
+        // The order may live on any of the customer projects, not only project 1
+        const { db: orderDb } = await findCustomerOrder(orderId);
+        const orderRef = (orderDb || db).collection(colName).doc(orderId);
+
         // 🚀 1. PURGE CLOUDINARY IMMEDIATELY
         console.log(`🗑️ [${orderId}] Cleanup triggered. Purging assets...`);
         await deleteOrderFilesFromCloudinary(orderId, orderData, colName);
@@ -88,11 +97,14 @@ async function cleanupOrder(orderId, orderData, colName = "xerox_orders") {
 
         if (!isPrintedOrCompleted) {
             // 💸 AUTO REFUND (If expired without print)
-            if (orderData.razorpayPaymentId && !orderData.razorpayPaymentId.startsWith('pay_admin_')) {
+            // Whatever earlier partial refunds left of the payment. The ledger entry
+            // outlives the order record deleted below.
+            if (orderData.razorpayPaymentId) {
                 try {
-                    console.log(`💸 Processing AUTO REFUND for expired order ${orderId} | ₹${orderData.amount}`);
-                    await razorpayInstance.payments.refund(orderData.razorpayPaymentId, {
-                        amount: Math.round(Number(orderData.amount) * 100)
+                    console.log(`💸 Processing AUTO REFUND for expired order ${orderId}`);
+                    await refundOrder(orderRef, {
+                        reason: "Expired without printing",
+                        kind: "expired",
                     });
                 } catch(err) {
                     console.error(`❌ Refund failed for ${orderId}:`, err.message);
@@ -102,7 +114,7 @@ async function cleanupOrder(orderId, orderData, colName = "xerox_orders") {
 
         // 🚀 2. HARD DELETE IMMEDIATELY
         console.log(`🔥 [${orderId}] Assets purged. Hard deleting record from ${colName}.`);
-        await db.collection(colName).doc(orderId).delete();
+        await orderRef.delete();
         
         const shopId = orderData.shopId;
         if (shopId && dbAdmin) {
@@ -120,14 +132,16 @@ async function cleanupOrphanedCloudinaryAssets() {
     console.log("🕵️ Starting Deep Cleanup: Checking for orphaned Cloudinary assets...");
     const foldersToScan = ["xerox_orders", "xerox_processed_orders"];
     
-    // Only check Xerox Account (configB)
-    cloudinary.config(configB);
-    
     for (const root of foldersToScan) {
         try {
-            const result = await cloudinary.api.sub_folders(root).catch(() => ({ folders: [] }));
-            for (const folder of result.folders) {
-                const pickupCode = folder.name;
+            // Order folders directly under the root, e.g. "xerox_orders/123456"
+            const publicIds = await storage.list(`${root}/`);
+            const folderNames = new Set(publicIds
+                .map(pid => pid.slice(root.length + 1).split('/'))
+                .filter(parts => parts.length > 1)
+                .map(parts => parts[0]));
+            for (const pickupCode of folderNames) {
+                const folder = { path: `${root}/${pickupCode}` };
                 if (!pickupCode || pickupCode.length < 4) continue;
 
                 // 🔍 Check if any ACTIVE or PENDING order exists with this code
@@ -135,12 +149,9 @@ async function cleanupOrphanedCloudinaryAssets() {
                 const sequentialMatch = await db.collection("xerox_orders").where("orderId", "==", pickupCode).limit(1).get();
 
                 if (xeroxMatch.empty && sequentialMatch.empty) {
-                    console.log(`🧹 Purging ORPHANED Cloudinary assets in folder: ${folder.path}`);
-                    
-                    // 1. Delete all resources in the folder
-                    await cloudinary.api.delete_resources_by_prefix(folder.path).catch(() => null);
-                    // 2. Delete the folder itself
-                    await cloudinary.api.delete_folder(folder.path).catch(() => null);
+                    console.log(`🧹 Purging ORPHANED assets in folder: ${folder.path}`);
+                    // Deletes every file in the folder and the folder itself
+                    await storage.deleteByPrefix(folder.path);
                 }
             }
         } catch (err) {
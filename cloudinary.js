@@ -34,13 +34,16 @@ function loadConfig(suffix, { required = false } = {}) {
     return values;
 }
 
-// B is the active account (see cloudinary.config below), so it is the only hard requirement.
+// B is the active account (the SDK default below), so it is the only hard requirement.
 // A, C and D are legacy accounts that only need to resolve for pre-existing asset URLs.
 const configB = loadConfig('_B', { required: true });
 const configA = loadConfig('');
 const configC = loadConfig('_C');
 const configD = loadConfig('_D');
 
+// The SDK default for calls that name no account. Calls that may touch another account pass
+// its credentials in their own options instead of reconfiguring the shared SDK, which
+// would race with concurrent calls for a different account.
 cloudinary.config(configB);
 
 // Maps a stored asset URL back to the account that hosts it. Any account that is not
@@ -61,12 +64,6 @@ function getSignedUrl(url, config, downloadName = null, explicitPublicId = null,
     if (url.includes('api.cloudinary.com')) return url; // Do not attempt to sign API links with CDN signatures
     try {
         const resolvedConfig = getConfigForUrl(url);
-        const cloudinary = require("cloudinary").v2;
-        cloudinary.config({
-            cloud_name: resolvedConfig.cloud_name,
-            api_key: resolvedConfig.api_key,
-            api_secret: resolvedConfig.api_secret
-        });
 
         // 🚀 RESOLVE: Get the clean Public ID
         let publicId = explicitPublicId;
@@ -116,7 +113,8 @@ function getSignedUrl(url, config, downloadName = null, explicitPublicId = null,
         if (format === 'pdf') {
             return cloudinary.utils.private_download_url(publicId, 'pdf', {
                 resource_type: isRaw ? 'raw' : 'image',
-                type: 'upload'
+                type: 'upload',
+                ...resolvedConfig
             });
         }
 
@@ -125,7 +123,8 @@ function getSignedUrl(url, config, downloadName = null, explicitPublicId = null,
             secure: true,
             resource_type: isRaw ? 'raw' : 'image',
             type: 'upload',
-            analytics: false
+            analytics: false,
+            ...resolvedConfig
         };
 
         if (format) options.format = format;
@@ -146,4 +145,146 @@ function getSignedUrl(url, config, downloadName = null, explicitPublicId = null,
     }
 }
 
-module.exports = { cloudinary, configB, configA, configC, configD, getConfigForUrl, getSignedUrl };
+// Public ID of an uploaded asset, from the explicit ID or parsed out of its URL. Image
+// public IDs carry no extension; raw ones keep it.
+function resolveAssetPublicId(fileUrl, explicitPublicId = null) {
+    const isRaw = fileUrl.toLowerCase().includes('/raw/upload/');
+    let publicId = explicitPublicId;
+    if (!publicId) {
+        const uploadSplit = fileUrl.split('/upload/');
+        if (uploadSplit.length > 1) {
+            const pathSegments = uploadSplit[1].split('?')[0].split('/');
+            const cleanSegments = pathSegments.filter(p => !p.startsWith('s--') && !/^v\d+$/.test(p));
+            publicId = cleanSegments.join('/');
+        }
+    }
+    if (!isRaw && publicId && publicId.includes('.')) {
+        publicId = publicId.split('.').slice(0, -1).join('.');
+    }
+    return publicId;
+}
+
+// The only hosts order files are delivered from. Anything else is refused before a request
+// is made, so a client-supplied URL cannot point the server at internal addresses (SSRF).
+const CLOUDINARY_HOSTS = new Set(['res.cloudinary.com', 'api.cloudinary.com']);
+
+function isCloudinaryUrl(url) {
+    try {
+        const parsed = new URL(String(url));
+        return parsed.protocol === 'https:' && CLOUDINARY_HOSTS.has(parsed.hostname);
+    } catch (_) {
+        return false;
+    }
+}
+
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const DOWNLOAD_MAX_BYTES = 100 * 1024 * 1024;
+
+// Axios reports an exceeded maxContentLength as a plain error; give it a status.
+function tooLargeError(maxBytes) {
+    const err = new Error(`File is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    err.status = 413;
+    return err;
+}
+
+/**
+ * Downloads an uploaded order file. Strict delivery blocks the CDN URL, so the private
+ * download API is tried first, falling back to the stored URL. Only Cloudinary URLs are
+ * fetched, bounded by `timeout` and `maxBytes` (a 413 error when the file is larger).
+ * Every server-side download of a client-supplied URL goes through here (/proxy-download
+ * included, via storage.get), so the allowlist cannot be bypassed elsewhere.
+ */
+async function downloadAsset(fileUrl, explicitPublicId = null, { maxBytes = DOWNLOAD_MAX_BYTES, timeout = DOWNLOAD_TIMEOUT_MS } = {}) {
+    const axios = require('axios');
+    if (!isCloudinaryUrl(fileUrl)) {
+        const err = new Error('Not a Cloudinary URL');
+        err.status = 400;
+        throw err;
+    }
+    const isPdfDetected = fileUrl.toLowerCase().includes('.pdf');
+    const resourceType = fileUrl.toLowerCase().includes('/raw/upload/') ? 'raw' : 'image';
+    const publicId = resolveAssetPublicId(fileUrl, explicitPublicId);
+    const requestOptions = {
+        responseType: 'arraybuffer',
+        timeout,
+        maxContentLength: maxBytes,
+        maxRedirects: 0, // a redirect could hop off the allowlisted host
+    };
+    const fetch = (url) => axios.get(url, requestOptions).catch((e) => {
+        throw String(e.message).includes('maxContentLength') ? tooLargeError(maxBytes) : e;
+    });
+
+    let response;
+    try {
+        const authenticatedUrl = cloudinary.utils.private_download_url(publicId, isPdfDetected ? 'pdf' : null, {
+            resource_type: resourceType,
+            type: 'upload',
+            ...getConfigForUrl(fileUrl)
+        });
+        response = await fetch(authenticatedUrl);
+    } catch (e) {
+        if (e.status === 413) throw e;
+        response = await fetch(fileUrl);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    return {
+        buffer: Buffer.from(response.data),
+        contentType,
+        isPdf: contentType.includes('pdf') || isPdfDetected,
+        publicId,
+        resourceType,
+    };
+}
+
+/**
+ * Uploads a generated file (cover page, merged job) and forces it public, as every
+ * processed order file is. Uploads go to the active account unless `config` names the
+ * account the order's files live on. Returns the Cloudinary upload result.
+ */
+async function uploadBuffer(buffer, { folder, publicId, resourceType = 'image', format = null, config = configB }) {
+    const result = await new Promise((resolve, reject) => {
+        const uploadOptions = {
+            ...config,
+            folder,
+            public_id: publicId,
+            resource_type: resourceType,
+            access_mode: 'public',
+            overwrite: true,
+            invalidate: true,
+        };
+        if (format) uploadOptions.format = format;
+        const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
+            if (error) reject(error);
+            else resolve(result);
+        });
+        uploadStream.end(buffer);
+    });
+
+    try {
+        await cloudinary.uploader.explicit(result.public_id, {
+            type: 'upload',
+            resource_type: resourceType,
+            access_mode: 'public',
+            invalidate: true,
+            ...config
+        });
+    } catch (e) {
+        console.warn(`⚠️ Force public failed for ${result.public_id}: ${e.message}`);
+    }
+    return result;
+}
+
+module.exports = {
+    cloudinary,
+    configB,
+    configA,
+    configC,
+    configD,
+    getConfigForUrl,
+    getSignedUrl,
+    resolveAssetPublicId,
+    isCloudinaryUrl,
+    downloadAsset,
+    uploadBuffer,
+};
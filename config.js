@@ -13,24 +13,50 @@
 
 const fs = require("fs");
 const path = require("path");
+const { execFileSync } = require("child_process");
 
 // Fail startup if absent — the service cannot function without these.
 const REQUIRED = [
   "RAZORPAY_KEY_ID",
   "RAZORPAY_KEY_SECRET",
+];
+
+// Required unless STORAGE_DRIVER=local keeps files on disk (see storage.js).
+const CLOUDINARY_REQUIRED = [
   "CLOUDINARY_CLOUD_NAME_B",
   "CLOUDINARY_API_KEY_B",
   "CLOUDINARY_API_SECRET_B",
 ];
 
+const STORAGE_DRIVERS = ["cloudinary", "local"];
+
 // Warn but continue — features degrade rather than break.
 const RECOMMENDED = {
   ADMIN_API_KEY:
     "administrative endpoints (/refund-payment, /run-cleanup) will refuse all requests",
+  QUOTE_SIGNING_SECRET:
+    "price quotes are signed with a key derived from RAZORPAY_KEY_SECRET, so rotating that secret invalidates open quotes",
   RAZORPAY_WEBHOOK_SECRET:
-    "the Razorpay webhook receiver cannot verify signatures (Phase 1.5)",
+    "/webhooks/razorpay will reject every event, so captures without /verify-payment are never reconciled",
 };
 
+// System binaries the processing worker (order_processing.js) shells out to, each found on
+// PATH unless its env var names the binary. Warn but continue: an order that needs a
+// missing converter fails that step with a "not installed" error, is retried and then
+// waits in needs_attention, so installing the binary and retrying the order recovers it.
+// Previews are a nice-to-have; without pdftoppm PDFs are mirrored without them.
+//   gs        Ghostscript, B/W pages converted to grayscale (grayscale_service.js)
+//   soffice   LibreOffice, DOCX/PPTX/TXT uploads converted to PDF (conversion_service.js)
+//   pdftoppm  poppler-utils, PDF preview thumbnails (thumbnail_service.js)
+const SYSTEM_BINARIES = [
+  { name: "Ghostscript", env: "GS_PATH", command: "gs", args: ["--version"],
+    consequence: "orders with B/W pages will fail processing" },
+  { name: "LibreOffice", env: "SOFFICE_PATH", command: "soffice", args: ["--version"],
+    consequence: "orders with office or text documents will fail processing" },
+  { name: "pdftoppm", env: "PDFTOPPM_PATH", command: "pdftoppm", args: ["-v"],
+    consequence: "PDFs will reach the shop without previews" },
+];
+
 // At least one credential source must resolve for each Firebase project we initialise.
 const FIREBASE_CREDENTIAL_SOURCES = [
   { name: "customer", env: "FIREBASE_SERVICE_ACCOUNT", file: "serviceAccountKey.json", required: true },
@@ -43,10 +69,18 @@ function validateEnvironment() {
   const errors = [];
   const warnings = [];
 
-  for (const name of REQUIRED) {
+  const storageDriver = process.env.STORAGE_DRIVER || "cloudinary";
+  const required = storageDriver === "local" ? REQUIRED : [...REQUIRED, ...CLOUDINARY_REQUIRED];
+  for (const name of required) {
     if (!process.env[name]) errors.push(`Missing required env var: ${name}`);
   }
 
+  if (!STORAGE_DRIVERS.includes(storageDriver)) {
+    errors.push(`STORAGE_DRIVER must be one of ${STORAGE_DRIVERS.join(", ")} (got '${storageDriver}')`);
+  } else if (storageDriver === "local" && !process.env.STORAGE_SIGNING_SECRET) {
+    warnings.push("STORAGE_SIGNING_SECRET is not set — local file links stop working when the server restarts");
+  }
+
   for (const [name, consequence] of Object.entries(RECOMMENDED)) {
     if (!process.env[name]) warnings.push(`${name} is not set — ${consequence}`);
   }
@@ -68,6 +102,18 @@ function validateEnvironment() {
     }
   }
 
+  for (const bin of SYSTEM_BINARIES) {
+    const command = process.env[bin.env] || bin.command;
+    try {
+      execFileSync(command, bin.args, { stdio: "ignore", timeout: 10000 });
+    } catch (err) {
+      warnings.push(
+        `${bin.name} not found (tried '${command}': ${err.code || err.message}) — ${bin.consequence}. ` +
+          `Install it or set ${bin.env}.`
+      );
+    }
+  }
+
   if (process.env.NODE_ENV === "production" && process.env.ALLOW_MOCK_PAYMENTS === "true") {
     errors.push("ALLOW_MOCK_PAYMENTS must never be true in production");
   }
@@ -81,7 +127,7 @@ function validateEnvironment() {
     process.exit(1);
   }
 
-  console.log(`✅ Configuration validated (${REQUIRED.length} required vars present)`);
+  console.log(`✅ Configuration validated (${required.length} required vars present, ${storageDriver} storage)`);
 }
 
 module.exports = { validateEnvironment };
@@ -0,0 +1,122 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('./storage');
+const { countPages } = require('./page_count_service');
+
+/**
+ * Office and text document conversion.
+ *
+ * Customers mostly arrive with DOCX, PPTX or TXT files, but everything downstream
+ * (page counting, watermarking, cover page, job PDF) works on PDFs and images. This stage
+ * runs first in the processing worker (order_processing.js): each convertible upload is
+ * turned into a PDF with a locally installed LibreOffice (`soffice --headless --convert-to
+ * pdf`), uploaded next to the order's other files and swapped in for the original.
+ *
+ * SOFFICE_PATH overrides the binary (default: `soffice` on PATH);
+ * CONVERSION_TIMEOUT_MS bounds a single conversion (default 60s).
+ */
+
+const CONVERTIBLE_EXTENSIONS = [
+    '.doc', '.docx', '.odt', '.rtf', '.txt',
+    '.ppt', '.pptx', '.odp',
+    '.xls', '.xlsx', '.ods',
+];
+
+const CONVERSION_TIMEOUT_MS = Number(process.env.CONVERSION_TIMEOUT_MS) || 60 * 1000;
+
+function conversionError(message) {
+    const err = new Error(message);
+    err.status = 422;
+    return err;
+}
+
+// Extension from the customer's file name, falling back to the uploaded URL.
+function extensionOf(file, fileUrl) {
+    const fromName = path.extname((file && file.fileName) || '').toLowerCase();
+    if (fromName) return fromName;
+    return path.extname(String(fileUrl || '').split('?')[0]).toLowerCase();
+}
+
+function needsConversion(file, fileUrl) {
+    return CONVERTIBLE_EXTENSIONS.includes(extensionOf(file, fileUrl));
+}
+
+function runConverter(inputPath, outDir, profileDir) {
+    const binary = process.env.SOFFICE_PATH || 'soffice';
+    const args = [
+        // A private profile per run, so concurrent conversions don't fight over one lock
+        `-env:UserInstallation=file://${profileDir}`,
+        '--headless',
+        '--norestore',
+        '--convert-to', 'pdf',
+        '--outdir', outDir,
+        inputPath,
+    ];
+    return new Promise((resolve, reject) => {
+        execFile(binary, args, { timeout: CONVERSION_TIMEOUT_MS, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+            if (!error) return resolve();
+            if (error.code === 'ENOENT') {
+                return reject(conversionError('Document conversion is not available on this server'));
+            }
+            if (error.killed) {
+                return reject(conversionError(`Conversion timed out after ${CONVERSION_TIMEOUT_MS / 1000}s`));
+            }
+            console.error(`❌ soffice failed: ${stderr || error.message}`);
+            reject(conversionError('The document could not be converted to PDF'));
+        });
+    });
+}
+
+/**
+ * Converts one document buffer to PDF. Returns { buffer, pageCount }; throws a 422 with
+ * a customer-readable message on failure.
+ */
+async function convertToPdf(buffer, extension) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zikrint-convert-'));
+    try {
+        const inputPath = path.join(workDir, `source${extension}`);
+        await fs.promises.writeFile(inputPath, buffer);
+        await runConverter(inputPath, workDir, path.join(workDir, 'profile'));
+
+        const outputPath = path.join(workDir, 'source.pdf');
+        if (!fs.existsSync(outputPath)) {
+            throw conversionError('The document could not be converted to PDF');
+        }
+        const pdfBuffer = await fs.promises.readFile(outputPath);
+        const pageCount = await countPages(pdfBuffer, { isPdf: true });
+        if (pageCount === 0) throw conversionError('The converted document has no pages');
+        return { buffer: pdfBuffer, pageCount };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => null);
+    }
+}
+
+/**
+ * Converts one of an order's files (position `index`) to PDF and uploads it as
+ * `${orderCode}_${index + 1}_src`. Returns { url, publicId, from, pageCount }, `from` being
+ * the source extension. Throws when the document cannot be converted; errors with a 422
+ * status carry a message meant for the customer.
+ */
+async function convertOrderFile({ orderCode, index, fileUrl, publicId = null, file = {} }) {
+    const extension = extensionOf(file, fileUrl);
+    const fileName = file.fileName || `File ${index + 1}`;
+    console.log(`🔄 Converting ${fileName} (${extension}) to PDF...`);
+    const source = await storage.get(fileUrl, publicId);
+    const converted = await convertToPdf(source.buffer, extension);
+    const result = await storage.put(converted.buffer, {
+        folder: 'xerox_processed_orders',
+        publicId: `${orderCode}_${index + 1}_src`,
+        format: 'pdf',
+    });
+    console.log(`✅ Converted ${fileName}: ${converted.pageCount} pages.`);
+    return { url: result.url, publicId: result.publicId, from: extension, pageCount: converted.pageCount };
+}
+
+module.exports = {
+    CONVERTIBLE_EXTENSIONS,
+    needsConversion,
+    convertToPdf,
+    convertOrderFile,
+};
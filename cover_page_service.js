@@ -181,15 +181,32 @@ async function generateCoverPage(orderData) {
     rect(tableLeft, cardY, cardW, cardH, { fill: WHITE, border: GREY_BORDER, bw: 0.8 });
     text('ORDER INFORMATION', tableLeft + 12, cardY + 74, 9, helveticaBold, BLACK);
 
-    text('Total Files',            tableLeft + 12, cardY + 54, 8, helvetica,     GREY_TEXT);
-    text(orderData.files.length.toString(), tableLeft + 220, cardY + 54, 8, helveticaBold, BLACK);
-
     const totalCopies = orderData.files.reduce((s, f) => s + f.copies, 0);
-    text('Total Copies',           tableLeft + 12, cardY + 36, 8, helvetica,     GREY_TEXT);
-    text(totalCopies.toString(),   tableLeft + 220, cardY + 36, 8, helveticaBold, BLACK);
-
-    text('Total Printable Pages',  tableLeft + 12, cardY + 18, 8, helvetica,     GREY_TEXT);
-    text(totalPages.toString(),    tableLeft + 220, cardY + 18, 8, helveticaBold, BLACK);
+    const binding = orderData.binding && orderData.binding.type ? orderData.binding : null;
+    const bindingLabel = binding
+        ? `${binding.type.charAt(0).toUpperCase()}${binding.type.slice(1)} x ${binding.quantity || 1}`
+        : null;
+
+    const infoRows = [
+        ['Total Files',           orderData.files.length.toString()],
+        ['Total Copies',          totalCopies.toString()],
+        ['Total Printable Pages', totalPages.toString()],
+    ];
+    if (binding) infoRows.push(['Binding', bindingLabel]);
+
+    // Four rows need a tighter step to fit the card
+    const infoStep = infoRows.length > 3 ? 13 : 18;
+    infoRows.forEach(([label, val], i) => {
+        const y = cardY + 54 - i * infoStep;
+        text(label, tableLeft + 12, y, 8, helvetica, GREY_TEXT);
+        // The binding label is wider than a count, so it is right-aligned inside the card
+        if (label === 'Binding') {
+            const vw = helveticaBold.widthOfTextAtSize(val, 8);
+            page.drawText(val, { x: tableLeft + cardW - vw - 12, y, size: 8, font: helveticaBold, color: BLACK });
+        } else {
+            text(val, tableLeft + 220, y, 8, helveticaBold, BLACK);
+        }
+    });
 
     // Card 2 — PRICE BREAKDOWN
     const c2X = tableLeft + 275.276;
@@ -198,7 +215,8 @@ async function generateCoverPage(orderData) {
 
     const roundedFee = Math.ceil(typeof orderData.platformFee === 'number' ? orderData.platformFee : 2.0);
     const coverCharge = typeof orderData.coverPageCharge === 'number' ? orderData.coverPageCharge : 2.0;
-    const grandTotal  = subtotal + roundedFee + coverCharge;
+    const bindingCharge = binding ? Number(binding.cost) || 0 : 0;
+    const grandTotal  = subtotal + roundedFee + coverCharge + bindingCharge;
 
     const priceRow = (label, amount, y) => {
         text(label, c2X + 12, y, 8, helvetica, GREY_TEXT);
@@ -207,9 +225,16 @@ async function generateCoverPage(orderData) {
         page.drawText(valStr, { x: c2X + cardW - vw - 12, y, size: 8, font: helveticaBold, color: BLACK });
     };
 
-    priceRow('Subtotal (Printing Charges)', subtotal,    cardY + 56);
-    priceRow('Platform Fee',                roundedFee,  cardY + 42);
-    priceRow('Cover Page Charge',           coverCharge, cardY + 28);
+    const priceRows = [
+        ['Subtotal (Printing Charges)', subtotal],
+        ['Platform Fee',                roundedFee],
+        ['Cover Page Charge',           coverCharge],
+    ];
+    if (binding) priceRows.splice(1, 0, [`Binding (${bindingLabel})`, bindingCharge]);
+
+    const priceStep = priceRows.length > 3 ? 11 : 14;
+    const priceTop  = priceRows.length > 3 ? 58 : 56;
+    priceRows.forEach(([label, amount], i) => priceRow(label, amount, cardY + priceTop - i * priceStep));
 
     hLine(cardY + 21, c2X + 10, c2X + cardW - 10, 0.5);
 
@@ -100,6 +100,8 @@ if (!adminApp) {
 
 const dbCustomer = customerApp.firestore();
 const dbAdmin = adminApp.firestore();
+// Customers sign in to Project 1; the backup projects only hold order data.
+const customerAuth = customerApp.auth();
 
 dbCustomer.settings({ ignoreUndefinedProperties: true });
 dbAdmin.settings({ ignoreUndefinedProperties: true });
@@ -185,6 +187,7 @@ module.exports = {
   dbCustomer2,
   dbCustomer3,
   dbAdmin,
+  customerAuth,
   findCustomerOrder,
   findCustomerOrderByIdOrCode,
   admin
@@ -0,0 +1,145 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const storage = require('./storage');
+const { printSegments } = require('./page_ranges');
+
+/**
+ * Grayscale renditions for B/W files.
+ *
+ * A file ordered (and priced) as B/W used to reach the shop as the original colour
+ * document, and came out in colour on a printer that defaults to it. Every processed file
+ * with B/W pages is converted to true grayscale before it goes to the shop: PDFs with
+ * Ghostscript (colour text, vector art and images all converted), images with sharp.
+ * Files with per-range colour keep their colour pages and have the rest converted.
+ *
+ * Ghostscript is a system dependency (see SYSTEM_BINARIES in config.js); GS_PATH overrides
+ * the binary. A file that cannot be converted fails the processing step rather than
+ * reaching the shop in colour.
+ */
+
+const CONVERT_TIMEOUT_MS = 60 * 1000;
+
+function runGhostscript(args) {
+    const binary = process.env.GS_PATH || 'gs';
+    return new Promise((resolve, reject) => {
+        execFile(binary, args, { timeout: CONVERT_TIMEOUT_MS, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+            if (!error) return resolve();
+            if (error.code === 'ENOENT') return reject(new Error('Ghostscript is not installed'));
+            if (error.killed) return reject(new Error('Ghostscript timed out'));
+            reject(new Error(`Ghostscript failed: ${stderr || error.message}`));
+        });
+    });
+}
+
+async function grayscalePdf(buffer) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zikrint-gray-'));
+    try {
+        const inputPath = path.join(workDir, 'source.pdf');
+        const outputPath = path.join(workDir, 'gray.pdf');
+        await fs.promises.writeFile(inputPath, buffer);
+        await runGhostscript([
+            '-dSAFER',
+            '-dBATCH',
+            '-dNOPAUSE',
+            '-dQUIET',
+            '-sDEVICE=pdfwrite',
+            '-sColorConversionStrategy=Gray',
+            '-dProcessColorModel=/DeviceGray',
+            '-dOverrideICC',
+            // Keep page sizes and rotation exactly as laid out by applyWatermark
+            '-dAutoRotatePages=/None',
+            `-sOutputFile=${outputPath}`,
+            inputPath,
+        ]);
+        return await fs.promises.readFile(outputPath);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => null);
+    }
+}
+
+/**
+ * Grayscale for the pages outside `colorPages` (1-based [{ from, to }] of the processed
+ * file, as applyWatermark reports them); colour pages are kept from the original.
+ */
+async function grayscalePdfExcept(buffer, colorPages) {
+    const isColorPage = (page) => colorPages.some(r => page >= r.from && page <= r.to);
+    const original = await PDFDocument.load(buffer);
+    const gray = await PDFDocument.load(await grayscalePdf(buffer));
+    if (gray.getPageCount() !== original.getPageCount()) {
+        throw new Error('Ghostscript changed the page count');
+    }
+
+    // One copy per source, so resources shared between pages are embedded once
+    const indices = original.getPageIndices();
+    const colorIndices = indices.filter(i => isColorPage(i + 1));
+    const bwIndices = indices.filter(i => !isColorPage(i + 1));
+    const merged = await PDFDocument.create();
+    const colorCopies = await merged.copyPages(original, colorIndices);
+    const bwCopies = await merged.copyPages(gray, bwIndices);
+    for (const i of indices) {
+        merged.addPage(isColorPage(i + 1) ? colorCopies.shift() : bwCopies.shift());
+    }
+    return Buffer.from(await merged.save());
+}
+
+async function grayscaleImage(buffer) {
+    // Single-channel output, so the printer driver has no colour left to print
+    return sharp(buffer).rotate().grayscale().toColourspace('b-w').jpeg({ quality: 92 }).toBuffer();
+}
+
+// 'all' when every page the file prints is B/W, 'mixed' when only some are, null when none
+// are. A file without an explicit colour mode (older app versions) is left alone.
+function bwCoverage(file) {
+    if (!file || !file.color) return null;
+    const segments = printSegments(file);
+    const bw = segments.filter(segment => segment.color === 'BW').length;
+    if (bw === 0) return null;
+    return bw === segments.length ? 'all' : 'mixed';
+}
+
+/**
+ * Converts the B/W pages among an order's processed files. `fileUrls`/`publicIds` are the
+ * processed files aligned with `files` (cover page excluded); `printRanges` are the
+ * colour pages of files with per-range colour ([{ file, colorPages }], `file` 1-based).
+ * Returns { fileUrls, publicIds, converted } with the grayscale renditions swapped in;
+ * `converted` lists the file indices. Throws when a file cannot be converted.
+ */
+async function grayscaleOrderFiles({ orderCode, fileUrls, publicIds = [], files = [], printRanges = [] }) {
+    const outUrls = [...fileUrls];
+    const outPublicIds = [...publicIds];
+    const converted = [];
+
+    for (let i = 0; i < fileUrls.length; i++) {
+        const coverage = bwCoverage(files[i]);
+        if (!coverage) continue;
+        try {
+            const asset = await storage.get(fileUrls[i], publicIds[i] || null);
+            let buffer;
+            if (coverage === 'all') {
+                buffer = asset.isPdf ? await grayscalePdf(asset.buffer) : await grayscaleImage(asset.buffer);
+            } else {
+                const ranges = printRanges.find(r => r.file === i + 1);
+                if (!asset.isPdf || !ranges) throw new Error('colour pages of a mixed file are unknown');
+                buffer = await grayscalePdfExcept(asset.buffer, ranges.colorPages);
+            }
+            const result = await storage.put(buffer, {
+                folder: 'xerox_processed_orders',
+                publicId: `${orderCode}_${i + 1}_bw`,
+                format: asset.isPdf ? 'pdf' : 'jpg',
+            });
+            outUrls[i] = storage.signedUrl(result.url, { publicId: result.publicId });
+            outPublicIds[i] = result.publicId;
+            converted.push(i);
+        } catch (err) {
+            throw new Error(`Grayscale conversion failed for file ${i + 1}: ${err.message}`);
+        }
+    }
+
+    return { fileUrls: outUrls, publicIds: outPublicIds, converted };
+}
+
+module.exports = { grayscalePdf, grayscalePdfExcept, grayscaleImage, grayscaleOrderFiles };
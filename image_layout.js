@@ -0,0 +1,163 @@
+/**
+ * Composing image uploads onto A4 sheets.
+ *
+ * Without it every image is its own print job at whatever size fits the page. With
+ * `printSettings.imageLayout` set, all image files of an order are tiled onto A4 pages as
+ * one PDF: a grid of cells, or items at a real-world size so an ID card (front and back)
+ * prints at its actual 85.6 × 54 mm. Each image is placed `copies` times.
+ *
+ * Pricing and order processing both go through composeImageFiles, so the order is charged
+ * for the composed pages that actually print.
+ */
+
+const path = require("path");
+
+const A4_MM = { width: 210, height: 297 };
+const MM_TO_PT = 72 / 25.4;
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+
+// Real-world item sizes, in mm, portrait.
+const IMAGE_LAYOUT_PRESETS = {
+  id_card: { itemWidthMm: 54, itemHeightMm: 85.6 }, // ISO/IEC 7810 ID-1 (Aadhaar, PAN, DL)
+  photo_4x6: { itemWidthMm: 101.6, itemHeightMm: 152.4 },
+  photo_5x7: { itemWidthMm: 127, itemHeightMm: 177.8 },
+};
+
+function imageLayoutError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isImageFile(file, fileUrl) {
+  const name = (file && file.fileName) || String(fileUrl || (file && file.url) || "").split("?")[0];
+  return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+const optionalNumber = (value, name, { min = 0 } = {}) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min) throw imageLayoutError(`imageLayout.${name} must be a number of at least ${min}`);
+  return n;
+};
+
+/**
+ * Validates printSettings.imageLayout. Returns null when images print one per page,
+ * otherwise { preset, columns, rows, marginMm, gapMm, itemWidthMm, itemHeightMm, perPage }.
+ *
+ * With an item size (or a preset) columns/rows default to as many as fit on the sheet;
+ * without one the printable area is split into a columns × rows grid (2 × 2 by default)
+ * and each image is fitted to its cell.
+ */
+function normalizeImageLayout(imageLayout) {
+  if (!imageLayout) return null;
+  if (typeof imageLayout !== "object") throw imageLayoutError("imageLayout must be an object");
+
+  const preset = imageLayout.preset || null;
+  if (preset && !IMAGE_LAYOUT_PRESETS[preset]) {
+    throw imageLayoutError(`imageLayout.preset must be one of ${Object.keys(IMAGE_LAYOUT_PRESETS).join(", ")}`);
+  }
+  const size = preset ? IMAGE_LAYOUT_PRESETS[preset] : {};
+  const marginMm = optionalNumber(imageLayout.marginMm, "marginMm") ?? 10;
+  const gapMm = optionalNumber(imageLayout.gapMm, "gapMm") ?? 5;
+  const itemWidthMm = optionalNumber(imageLayout.itemWidthMm, "itemWidthMm", { min: 10 }) ?? size.itemWidthMm ?? null;
+  const itemHeightMm = optionalNumber(imageLayout.itemHeightMm, "itemHeightMm", { min: 10 }) ?? size.itemHeightMm ?? null;
+  let columns = optionalNumber(imageLayout.columns, "columns", { min: 1 });
+  let rows = optionalNumber(imageLayout.rows, "rows", { min: 1 });
+
+  if ((itemWidthMm === null) !== (itemHeightMm === null)) {
+    throw imageLayoutError("imageLayout.itemWidthMm and itemHeightMm must be given together");
+  }
+
+  const usableW = A4_MM.width - 2 * marginMm;
+  const usableH = A4_MM.height - 2 * marginMm;
+  if (usableW <= 0 || usableH <= 0) throw imageLayoutError("imageLayout.marginMm leaves no printable area");
+
+  if (itemWidthMm !== null) {
+    const fitColumns = Math.floor((usableW + gapMm) / (itemWidthMm + gapMm));
+    const fitRows = Math.floor((usableH + gapMm) / (itemHeightMm + gapMm));
+    columns = columns ?? fitColumns;
+    rows = rows ?? fitRows;
+    if (columns < 1 || rows < 1 || columns > fitColumns || rows > fitRows) {
+      throw imageLayoutError(
+        `${columns} × ${rows} items of ${itemWidthMm} × ${itemHeightMm} mm do not fit on an A4 page`
+      );
+    }
+  } else {
+    columns = columns ?? 2;
+    rows = rows ?? 2;
+    if (columns > 6 || rows > 6) throw imageLayoutError("imageLayout allows at most 6 columns and 6 rows");
+  }
+  columns = Math.floor(columns);
+  rows = Math.floor(rows);
+
+  return { preset, columns, rows, marginMm, gapMm, itemWidthMm, itemHeightMm, perPage: columns * rows };
+}
+
+/**
+ * Cell boxes on an A4 page, in PDF points from the bottom-left, filled left to right and
+ * top to bottom. The grid is centred on the page.
+ */
+function cellBoxes(layout) {
+  const cellW = layout.itemWidthMm ?? (A4_MM.width - 2 * layout.marginMm - (layout.columns - 1) * layout.gapMm) / layout.columns;
+  const cellH = layout.itemHeightMm ?? (A4_MM.height - 2 * layout.marginMm - (layout.rows - 1) * layout.gapMm) / layout.rows;
+  const gridW = layout.columns * cellW + (layout.columns - 1) * layout.gapMm;
+  const gridH = layout.rows * cellH + (layout.rows - 1) * layout.gapMm;
+  const left = (A4_MM.width - gridW) / 2;
+  const top = (A4_MM.height - gridH) / 2;
+
+  const boxes = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.columns; col++) {
+      const x = left + col * (cellW + layout.gapMm);
+      const y = A4_MM.height - (top + row * (cellH + layout.gapMm) + cellH);
+      boxes.push({ x: x * MM_TO_PT, y: y * MM_TO_PT, width: cellW * MM_TO_PT, height: cellH * MM_TO_PT });
+    }
+  }
+  return boxes;
+}
+
+/**
+ * Collapses the image files of an order into a single composed file, placed where the
+ * first image was. Returns { files, imageIndices, tiles }; `files` is unchanged when there
+ * is no layout or no image.
+ *
+ * The composed file prints once, single-sided on A4, in colour when any image does;
+ * `composedFrom` lists the original file indices.
+ */
+function composeImageFiles(files, layout, fileUrls = []) {
+  const list = files || [];
+  const imageIndices = layout ? list.map((f, i) => (isImageFile(f, fileUrls[i]) ? i : -1)).filter((i) => i >= 0) : [];
+  if (imageIndices.length === 0) return { files: list, imageIndices, tiles: [] };
+
+  // One tile per copy of each image, in upload order.
+  const tiles = imageIndices.flatMap((i) => Array(Number(list[i].copies) || 1).fill(i));
+  const images = imageIndices.map((i) => list[i]);
+  const composed = {
+    fileName: `Images (${imageIndices.length})`,
+    pageCount: Math.ceil(tiles.length / layout.perPage),
+    copies: 1,
+    color: images.some((f) => f.color === "COLOR") ? "COLOR" : "BW",
+    doubleSided: false,
+    paperSize: "A4",
+    composedFrom: imageIndices,
+    // Laid out at its real size and marked with the order code; printed as it is
+    printReady: true,
+  };
+
+  const out = [];
+  list.forEach((f, i) => {
+    if (i === imageIndices[0]) out.push(composed);
+    else if (!imageIndices.includes(i)) out.push(f);
+  });
+  return { files: out, imageIndices, tiles };
+}
+
+module.exports = {
+  IMAGE_LAYOUT_PRESETS,
+  isImageFile,
+  normalizeImageLayout,
+  cellBoxes,
+  composeImageFiles,
+};
@@ -0,0 +1,139 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { cellBoxes, composeImageFiles } = require('./image_layout');
+
+// A4 portrait in PDF points
+const A4 = [595.28, 841.89];
+// Images are resampled to this resolution at their printed size, which keeps the PDF
+// small without visible loss.
+const PRINT_DPI = 300;
+
+/**
+ * Prepares an image for its cell: EXIF orientation applied, turned 90° when its shape
+ * disagrees with the cell's, flattened onto white and resampled to PRINT_DPI. Returns a
+ * JPEG buffer and the size (in points) it is drawn at, fitted inside the cell.
+ */
+async function fitImage(buffer, cell) {
+    const metadata = await sharp(buffer).metadata();
+    // metadata() reports the stored dimensions; EXIF orientations 5-8 swap them
+    const swapped = (metadata.orientation || 1) >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+
+    const turn = (width > height) !== (cell.width > cell.height);
+    const imgW = turn ? height : width;
+    const imgH = turn ? width : height;
+    const scale = Math.min(cell.width / imgW, cell.height / imgH);
+    const drawW = imgW * scale;
+    const drawH = imgH * scale;
+
+    const pixelsW = Math.max(1, Math.round(drawW / 72 * PRINT_DPI));
+    const pixelsH = Math.max(1, Math.round(drawH / 72 * PRINT_DPI));
+    const upright = await sharp(buffer).rotate().toBuffer();
+    const jpeg = await sharp(upright)
+        .rotate(turn ? 90 : 0)
+        .resize(pixelsW, pixelsH, { fit: 'fill' })
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+
+    return {
+        jpeg,
+        draw: {
+            x: cell.x + (cell.width - drawW) / 2,
+            y: cell.y + (cell.height - drawH) / 2,
+            width: drawW,
+            height: drawH,
+        },
+    };
+}
+
+/**
+ * Tiles image buffers onto A4 pages. `tiles` are indices into `buffers`, in placement
+ * order (an image appears once per copy). Each distinct image is prepared and embedded
+ * once. Pages carry the order code in the bottom-right corner, as watermarked files do.
+ */
+async function composeImagesPdf(buffers, tiles, layout, orderCode) {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const cells = cellBoxes(layout);
+
+    // Every cell on the page has the same size, so one fit per image serves all its copies.
+    const fitted = new Map();
+    for (const index of new Set(tiles)) {
+        const { jpeg, draw } = await fitImage(buffers[index], cells[0]);
+        fitted.set(index, { image: await pdfDoc.embedJpg(jpeg), draw });
+    }
+
+    let page = null;
+    tiles.forEach((index, n) => {
+        const slot = n % layout.perPage;
+        if (slot === 0) {
+            page = pdfDoc.addPage(A4);
+            if (orderCode) {
+                page.drawText(`#${orderCode}`, { x: A4[0] - 60, y: 12, size: 10, font, color: rgb(0, 0, 0) });
+            }
+        }
+        const { image, draw } = fitted.get(index);
+        const cell = cells[slot];
+        page.drawImage(image, {
+            ...draw,
+            x: draw.x - cells[0].x + cell.x,
+            y: draw.y - cells[0].y + cell.y,
+        });
+    });
+
+    return { buffer: Buffer.from(await pdfDoc.save()), pageCount: pdfDoc.getPageCount() };
+}
+
+/**
+ * Composes an order's image files into one PDF and uploads it as `${orderCode}_images`.
+ *
+ * Returns null when the order has nothing to compose, otherwise { files, fileUrls,
+ * publicIds } with the images replaced by the composed file (see composeImageFiles); the
+ * composed entry keeps the originals' public ids in `sourcePublicIds` for cleanup.
+ */
+async function composeOrderImages({ orderCode, fileUrls, publicIds = [], files, layout }) {
+    const { files: composedFiles, imageIndices, tiles } = composeImageFiles(files, layout, fileUrls);
+    if (imageIndices.length === 0) return null;
+
+    console.log(`🖼️ Composing ${imageIndices.length} images (${tiles.length} placements) onto A4 for ${orderCode}...`);
+    const buffers = {};
+    await Promise.all(imageIndices.map(async (i) => {
+        buffers[i] = (await storage.get(fileUrls[i], publicIds[i] || null)).buffer;
+    }));
+
+    const pdf = await composeImagesPdf(buffers, tiles, layout, orderCode);
+    const result = await storage.put(pdf.buffer, {
+        folder: 'xerox_processed_orders',
+        publicId: `${orderCode}_images`,
+        format: 'pdf',
+    });
+
+    const first = imageIndices[0];
+    const outUrls = [];
+    const outPublicIds = [];
+    fileUrls.forEach((url, i) => {
+        if (i === first) {
+            outUrls.push(result.url);
+            outPublicIds.push(result.publicId);
+        } else if (!imageIndices.includes(i)) {
+            outUrls.push(url);
+            outPublicIds.push(publicIds[i] || null);
+        }
+    });
+
+    const position = composedFiles.findIndex(f => f.composedFrom);
+    composedFiles[position] = {
+        ...composedFiles[position],
+        pageCount: pdf.pageCount,
+        url: result.url,
+        publicId: result.publicId,
+        sourcePublicIds: imageIndices.map(i => publicIds[i]).filter(Boolean),
+    };
+
+    return { files: composedFiles, fileUrls: outUrls, publicIds: outPublicIds };
+}
+
+module.exports = { composeImagesPdf, composeOrderImages };
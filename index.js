@@ -12,21 +12,37 @@ const crypto = require("crypto");
 // ============================================================================
 // INTERNAL MODULES
 // ============================================================================
-const { db, dbCustomer, dbAdmin, admin } = require("./firebase");
-const { cloudinary, configB } = require("./cloudinary");
+const { db, dbCustomer, dbAdmin, admin, findCustomerOrder } = require("./firebase");
+const storage = require("./storage");
 const razorpayInstance = require("./razorpay");
-const { performCleanup, cleanupOrder, deleteOrderFilesFromCloudinary } = require("./cleanup");
-const { createOrder, syncOrderToAdmin, generateUniquePickupCode } = require("./order");
-const { applyWatermark } = require("./watermark_service");
-const { generateCoverPage } = require("./cover_page_service");
-const { requireAdminKey } = require("./auth");
+const { performCleanup, deleteOrderFilesFromCloudinary } = require("./cleanup");
+const { generateUniquePickupCode } = require("./order");
+const { transitionOrder, currentState } = require("./order_lifecycle");
+const { cancelOrderForCustomer } = require("./cancellation_service");
+const { refundOrder, filesRefundAmount } = require("./refund_service");
+const { requestTopUp, verifyTopUpSignature, applyTopUp } = require("./top_up_service");
+const { ACTIVE_STATUSES, enqueueOrderProcessing, retryOrderProcessing, cancelOrderProcessing, resumeOrderProcessing } = require("./order_processing");
+const { preflightFiles } = require("./preflight_service");
+const upload = require("./upload");
+const { storeOrderUploads, discardUploads } = require("./upload_service");
+const { loadPricingContext, priceFiles, pricingOptions, normalizeBinding } = require("./pricing_service");
+const { requireAdminKey, requireUser } = require("./auth");
+const { redeemQuote, releaseQuote, recordPaymentIntent, getPaymentIntent, createPaidOrderOnce } = require("./payment_service");
+const { issueQuote, verifyQuote, assertQuoteMatches } = require("./quote_service");
+const { handleRazorpayWebhook } = require("./razorpay_webhook");
 require("./notification_watcher"); // 🚀 Start background listeners
 // ============================================================================
 // EXPRESS APP SETUP
 // ============================================================================
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes Razorpay sent, so keep them
+// alongside the parsed body for /webhooks/* routes.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/webhooks/")) req.rawBody = buf;
+  }
+}));
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -37,6 +53,8 @@ app.use((req, res, next) => {
 // performCleanup is already imported on line 14
 performCleanup();
 setInterval(performCleanup, 5 * 60 * 1000);
+// Pick up orders whose processing was interrupted by a restart
+resumeOrderProcessing();
 // ============================================================================
 // ENDPOINT: HEALTH CHECK & MANUAL CLEANUP
 // ============================================================================
@@ -47,6 +65,7 @@ app.get("/", (req, res) => {
     razorpay: !!process.env.RAZORPAY_KEY_ID,
     firebase: !!db,
     cloudinary: !!process.env.CLOUDINARY_CLOUD_NAME,
+    storage: storage.name,
     timestamp: new Date().toISOString(),
   });
 });
@@ -182,21 +201,50 @@ app.get("/get-xerox-shops", async (req, res, next) => {
 // ============================================================================
 app.post("/create-razorpay-order", async (req, res, next) => {
   try {
-    const amount = Number(req.body.amount);
-    if (!amount) return res.status(400).json({ error: "Amount is required" });
+    // The amount comes from a signed, unexpired quote issued by /api/pricing/calculate;
+    // a client-supplied amount is ignored. Each quote pays for one checkout only.
+    const { quoteToken, printSettings, userId, userEmail, totalPages, customId, customerName } = req.body;
+    const quote = verifyQuote(quoteToken);
+    if (printSettings) assertQuoteMatches(quote, printSettings);
+    await redeemQuote(quote);
+
     const options = {
-      amount: Math.round(amount * 100), // paise
+      amount: quote.amountPaise,
       currency: "INR",
-      receipt: `rcpt_${Date.now()}`
+      receipt: `rcpt_${Date.now()}`,
+      notes: { quoteId: quote.quoteId, shopId: quote.shopId }
     };
-    const order = await razorpayInstance.orders.create(options);
+    let order;
+    try {
+      order = await razorpayInstance.orders.create(options);
+    } catch (rzpErr) {
+      // Nothing was charged against the quote; let the customer try it again.
+      await releaseQuote(quote.quoteId);
+      throw rzpErr;
+    }
+
+    // Keep the checkout context with the Razorpay order so the webhook can still build
+    // the order if the app dies between checkout and /verify-payment.
+    await recordPaymentIntent(order, printSettings ? {
+      printSettings,
+      userId: userId || 'guest_user',
+      userEmail: userEmail || null,
+      totalPages: totalPages || 0,
+      customId: customId || null,
+      customerName: customerName || null,
+    } : null, quote);
+
     res.json({
       success: true,
       razorpayOrderId: order.id,
       amount: order.amount,
+      quoteId: quote.quoteId,
       key: process.env.RAZORPAY_KEY_ID
     });
   } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error("❌ Razorpay order creation error:", error);
     next(error);
   }
@@ -210,6 +258,7 @@ app.post("/verify-payment", async (req, res, next) => {
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature,
+      quoteToken,
       printSettings,
       userId,
       userEmail,
@@ -264,11 +313,10 @@ app.post("/verify-payment", async (req, res, next) => {
         return res.status(400).json({ success: false, error: "Razorpay order not found" });
       }
 
-      // Validate expected payment/order state (amount matches)
-      const expectedAmountPaise = Math.round(amount * 100);
-      if (Math.abs(rzpOrder.amount - expectedAmountPaise) > 1) {
-        console.error(`❌ Razorpay order amount mismatch: expected ${expectedAmountPaise} paise, got ${rzpOrder.amount} paise`);
-        return res.status(400).json({ success: false, error: "Payment amount mismatch" });
+      // The amount is checked against the server's own price in createPaidOrderOnce; the
+      // client-sent `amount` is informational only.
+      if (amount != null && Math.abs(rzpOrder.amount - Math.round(amount * 100)) > 1) {
+        console.warn(`⚠️ Client amount ₹${amount} differs from Razorpay order ${rzpOrder.amount} paise`);
       }
 
       // Verify Signature
@@ -288,51 +336,142 @@ app.post("/verify-payment", async (req, res, next) => {
       console.log(`🤖 Reviewer Test Payment detected for user: ${userEmail || userId || razorpay_order_id}`);
     }
 
-    // Create Order in Firestore
-    const result = await createOrder(
+    // The order is priced from the quote redeemed for this Razorpay order. A quote token
+    // sent again here must be that same quote.
+    let quote = null;
+    if (!isReviewerTest) {
+      const intent = await getPaymentIntent(razorpay_order_id);
+      quote = intent && intent.quote ? intent.quote : null;
+      if (!quote) {
+        return res.status(400).json({ success: false, error: "This payment was not created from a price quote" });
+      }
+      if (quoteToken && verifyQuote(quoteToken, { allowExpired: true }).quoteId !== quote.quoteId) {
+        return res.status(400).json({ success: false, error: "Price quote does not belong to this payment" });
+      }
+    }
+
+    // Create Order in Firestore and link it to the payment intent. Idempotent per
+    // razorpay_order_id: a retried call returns the order the first call created.
+    const result = await createPaidOrderOnce({
       printSettings,
-      razorpay_order_id,
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      capturedAmountPaise: rzpOrder ? Number(rzpOrder.amount) : null,
+      quote,
       amount,
       totalPages,
-      'xeroxShop',
-      userId || 'guest_user',
+      userId,
       customId,
       userEmail,
       customerName
-    );
-    const mainCollection = "xerox_orders";
-    // Update with payment details in Customer DB
-    const updateData = {
-      userId: userId || 'guest_user',
-      razorpayPaymentId: razorpay_payment_id,
-      paymentStatus: "PAID",
-      status: "ACTIVE",
-    };
-    await result.db.collection(mainCollection).doc(result.orderId).update(updateData);
+    });
     // 🛡️ Admin sync removed from here to prevent incomplete orders from showing up.
     // It is now moved to /complete-order which is called after file upload success.
-    // Get final order data to return
-    const finalDoc = await result.db.collection(mainCollection).doc(result.orderId).get();
-    const finalData = finalDoc.data();
     res.json({
       success: true,
       orderId: result.orderId,
-      pickupCode: finalData.pickupCode,
-      xeroxId: finalData.xeroxId || null,
-      orderCode: finalData.orderCode || null,
-      projectId: result.projectId
+      pickupCode: result.pickupCode,
+      xeroxId: result.xeroxId,
+      orderCode: result.orderCode,
+      projectId: result.projectId,
+      replayed: result.replayed
     });
   } catch (error) {
     console.error("❌ Payment verification error:", error);
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+// ============================================================================
+// ENDPOINT: RAZORPAY WEBHOOK (Payment Reconciliation)
+// ============================================================================
+// Authenticated by the X-Razorpay-Signature HMAC, not by admin key: Razorpay is the caller.
+app.post("/webhooks/razorpay", handleRazorpayWebhook);
+// ============================================================================
+// ENDPOINT: UPLOAD ORDER FILES (Direct Multipart Upload)
+// ============================================================================
+// 🔒 Signed-in customers only, for their own orders. Multipart field "files", one part per
+// entry of printSettings.files and in the same order. Files are preflighted and stored
+// server-side; /complete-order then uses them when it is called without fileUrls. Files
+// can be replaced until processing starts, or while the order is held for a page-count
+// top-up; the uploads they replace are deleted.
+const MAX_UPLOAD_FILES = 50;
+app.post("/orders/:orderId/files", requireUser, async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { orderRef, orderData, error } = await findOwnOrderRef(orderId, req.user);
+    if (error) return res.status(error.status).json({ success: false, error: error.message });
+    if (!canChangeFiles(orderData)) {
+      return res.status(409).json({ success: false, error: "This order's files can no longer be changed" });
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        upload.array("files", MAX_UPLOAD_FILES)(req, res, (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (uploadErr) {
+      await discardUploads(req.files);
+      // multer's own errors (file too large, too many files) carry a code, not a status
+      if (uploadErr.status === 400 || uploadErr.code) {
+        return res.status(400).json({ success: false, error: uploadErr.message });
+      }
+      throw uploadErr;
+    }
+
+    const uploadedFiles = req.files || [];
+    const expected = (orderData.printSettings?.files || []).length;
+    if (uploadedFiles.length === 0 || uploadedFiles.length !== expected) {
+      await discardUploads(uploadedFiles);
+      return res.status(400).json({
+        success: false,
+        error: `Expected ${expected} files for this order, received ${uploadedFiles.length}`,
+      });
+    }
+
+    const orderCode = orderData.orderCode || orderData.pickupCode || orderId;
+    const stored = await storeOrderUploads({ orderCode, uploadedFiles });
+    if (!stored.ok) {
+      return res.status(422).json({
+        success: false,
+        error: "Some files cannot be printed.",
+        files: stored.files,
+      });
+    }
+
+    await orderRef.update({
+      uploadedFileUrls: stored.fileUrls,
+      uploadedPublicIds: stored.publicIds,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Same-position files overwrite each other; anything else the earlier upload stored is gone
+    const superseded = (orderData.uploadedPublicIds || []).filter(pid => pid && !stored.publicIds.includes(pid));
+    if (superseded.length > 0) {
+      await storage.delete(superseded, { alongside: orderData.uploadedFileUrls?.[0] || null })
+        .catch(err => console.warn(`⚠️ Could not delete replaced uploads of ${orderId}: ${err.message}`));
+    }
+
+    res.json({
+      success: true,
+      fileUrls: stored.fileUrls,
+      publicIds: stored.publicIds,
+      files: stored.files,
+    });
+  } catch (error) {
     next(error);
   }
 });
 // ============================================================================
 // ENDPOINT: COMPLETE ORDER (Attach Files - Xerox Shop Side)
 // ============================================================================
-app.post("/complete-order", async (req, res, next) => {
+// 🔒 Signed-in customers only, for their own orders, under the same rule as
+// POST /orders/:orderId/files: files can no longer be swapped once processing has started.
+app.post("/complete-order", requireUser, async (req, res, next) => {
   try {
-    const { orderId, fileUrls, publicIds, printMode } = req.body;
+    const { orderId, printMode } = req.body;
+    let { fileUrls, publicIds } = req.body;
     
     console.log(`\n📂 [File Upload Completion Step]`);
     console.log(`   - Order ID: ${orderId}`);
@@ -346,23 +485,45 @@ app.post("/complete-order", async (req, res, next) => {
 
     if (!orderId) return res.status(400).json({ error: "orderId required" });
     
-    // 🛠️ Collection and config
-    const collectionName = "xerox_orders";
-    const activeConfig = configB;
-    const { findCustomerOrder } = require("./firebase");
-    const { doc: orderDoc, db: targetDb } = await findCustomerOrder(orderId);
-    
-    if (!orderDoc || !orderDoc.exists) {
-      return res.status(404).json({ error: "Order not found" });
+    const { orderRef, orderData: currentData, error } = await findOwnOrderRef(orderId, req.user);
+    if (error) return res.status(error.status).json({ success: false, error: error.message });
+    // The background worker owns an order while it is queued or processing, and an order
+    // that needs attention waits for an operator (see /api/v1/admin/orders/:id/*).
+    if (ACTIVE_STATUSES.includes(currentData.processingStatus)) {
+      return res.status(202).json({
+        success: true,
+        message: "Order is already being processed.",
+        processingStatus: currentData.processingStatus,
+        orderCode: currentData.orderCode || currentData.pickupCode
+      });
+    }
+    if (['needs_attention', 'cancelled'].includes(currentData.processingStatus)) {
+      return res.status(409).json({
+        success: false,
+        processingStatus: currentData.processingStatus,
+        error: "This order could not be processed and is with our support team."
+      });
+    }
+    if (!canChangeFiles(currentData)) {
+      return res.status(409).json({
+        success: false,
+        processingStatus: currentData.processingStatus || null,
+        error: "This order's files can no longer be changed"
+      });
+    }
+    // Files sent to POST /orders/:orderId/files are already stored on the order
+    if ((!Array.isArray(fileUrls) || fileUrls.length === 0) && currentData.uploadedFileUrls) {
+      fileUrls = currentData.uploadedFileUrls;
+      publicIds = currentData.uploadedPublicIds || [];
     }
-    const orderRef = targetDb.collection(collectionName).doc(orderId);
-    const currentData = orderDoc.data();
     let updatedFiles = [...(currentData.printSettings?.files || [])];
     
-    // Align nested file metadata with reality
+    // Align nested file metadata with reality. These are the uploads as sent, so any earlier
+    // conversion is redone by the worker.
     if (fileUrls && fileUrls.length > 0) {
       for (let i = 0; i < updatedFiles.length && i < fileUrls.length; i++) {
-        updatedFiles[i].url = fileUrls[i];
+        const { convertedFrom, sourcePublicId, ...file } = updatedFiles[i];
+        updatedFiles[i] = { ...file, url: fileUrls[i] };
         if (publicIds && publicIds[i]) {
           updatedFiles[i].publicId = publicIds[i];
         }
@@ -370,259 +531,182 @@ app.post("/complete-order", async (req, res, next) => {
     }
 
     // 🚀 NEW: Generate SIGNED URLs for the Customer App too (Universal Access)
-    const { getSignedUrl } = require("./cloudinary");
     let signedFileUrls = [];
     if (fileUrls && Array.isArray(fileUrls)) {
-      signedFileUrls = fileUrls.map((url) => getSignedUrl(url, activeConfig));
+      signedFileUrls = fileUrls.map((url) => storage.signedUrl(url));
     }
 
 
-    await orderRef.update({
-      fileUrls: signedFileUrls, // ✅ Saved signed links to customer app
-      publicIds: publicIds || [],
-      "printSettings.files": updatedFiles, 
-      status: 'ACTIVE',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    // 2. 🔐 IMMEDIATELY UNLOCK FILES
-    if (publicIds && publicIds.length > 0) {
-      try {
-        const { getConfigForUrl } = require("./cloudinary");
-        const firstUrl = fileUrls && fileUrls.length > 0 ? fileUrls[0] : null;
-        const resolvedConfig = getConfigForUrl(firstUrl);
-        cloudinary.config(resolvedConfig);
-
-        console.log(`🔓 Unlocking ${publicIds.length} files (Order ${orderId}) on account ${resolvedConfig.cloud_name}...`);
-        await Promise.all(publicIds.map(async (pid) => {
-          // 🚀 SELF-HEALING: Try stripping folder prefixes if root asset exists
-          const parts = pid.split('/');
-          const flatPid = parts.pop(); // e.g., '1401_1.pdf'
-          const idOptions = [pid, flatPid];
-
-          try {
-            console.log(`   🔑 Unlocking ID: ${pid}`);
-            // 🔓 Perform unlocking on the identified types
-            const types = ['image', 'raw'];
-            await Promise.all(types.map(async (type) => {
-              try {
-                await cloudinary.uploader.explicit(pid, {
-                  type: 'upload',
-                  resource_type: type,
-                  access_mode: 'public',
-                  invalidate: true
-                });
-              } catch (e) { /* silent skip */ }
-            }));
-          } catch (e) { /* silent skip */ }
-        }));
-        console.log("✅ All files unlocked successfully.");
-      } catch (err) {
-        console.error("❌ Critical Unlock Error:", err.message);
-      }
+    // 2. 🛡️ CONVERSION, PAGE COUNT, IMAGE LAYOUT, WATERMARK, COVER PAGE & SHOP MIRRORING run in
+    // the background (order_processing.js). The app follows processingStatus on the order
+    // (queued -> processing -> ready | needs_attention, or awaiting_top_up when the files
+    // have more pages than were paid for). The files are saved with the order's move to
+    // processing, so an order that cannot be processed (409) keeps the ones it had.
+    let queued;
+    try {
+      queued = await enqueueOrderProcessing(orderRef, {
+        printMode,
+        updates: {
+          fileUrls: signedFileUrls, // ✅ Saved signed links to customer app
+          publicIds: publicIds || [],
+          "printSettings.files": updatedFiles,
+          status: 'ACTIVE',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }
+      });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      return res.status(409).json({ success: false, error: "This order cannot be processed." });
     }
+    const queuedData = (await orderRef.get()).data();
+    console.log(queued
+      ? `📥 Order ${orderId} queued for processing.`
+      : `ℹ️ Order ${orderId} is already queued or processing.`);
 
-    // 3. 🛡️ WATERMARK BEFORE ADMIN MIRRORING (Now in Foreground)
-
-    const freshOrderDoc = await orderRef.get();
-    const freshData = freshOrderDoc.data();
-    const shopId = freshData?.shopId || freshData?.printSettings?.shopId;
-    const orderCode = freshData.orderCode || freshData.pickupCode;
+    // 3. Send acceptance to Frontend
+    res.status(202).json({
+      success: true,
+      message: "Order queued for processing.",
+      processingStatus: queued ? 'queued' : queuedData.processingStatus,
+      orderCode: queuedData.orderCode || queuedData.pickupCode
+    });
 
-    try {
-      const fileUrls = freshData.fileUrls || [];
-      const incomingPublicIds = freshData.publicIds || [];
-      const files = freshData.printSettings?.files || [];
-      const totalPrintablePages = files.reduce((sum, f) => sum + (Number(f.pageCount) || 1) * (Number(f.copies) || 1), 0);
-      
-      const isPassportPhotoService = (freshData.serviceName || '').toLowerCase().includes('passport') ||
-                                     (freshData.serviceId || '').includes('yPiaqNqbvhABcunanu5X');
-      const generateCoverPageEnabled = !isPassportPhotoService && totalPrintablePages > 5;
-      
-      let finalFileUrls = [];
-      let finalPublicIds = [];
-      let coverPageUrl = null;
-      let coverPagePublicId = null;
-      let printSequence = [];
-
-      if (isPassportPhotoService) {
-        console.log(`📷 Passport Photo Order ${orderId} detected. Bypassing watermarking and cover page...`);
-        finalFileUrls = [...fileUrls];
-        finalPublicIds = [...incomingPublicIds];
-        printSequence = files.map((f, i) => `file${i+1}`);
-      } else if (generateCoverPageEnabled) {
-        console.log(`📄 Generating Cover Page for Order ${orderId} (Total pages: ${totalPrintablePages} > 5)...`);
-        
-        const formattedFiles = files.map((f, i) => ({
-          fileName: f.fileName || `File ${i+1}`,
-          copies: Number(f.copies) || 1,
-          pageCount: Number(f.pageCount) || 1,
-          price: Number(f.price) || 0.0,
-        }));
-
-        const coverPageBuffer = await generateCoverPage({
-          orderCode,
-          customId: freshData.customId || null,
-          customerName: freshData.customerName || freshData.userEmail || freshData.userId || 'Guest User',
-          files: formattedFiles,
-          coverPageCharge: typeof freshData.printSettings?.coverPageCharge === 'number'
-            ? freshData.printSettings.coverPageCharge
-            : (typeof freshData.coverPageCharge === 'number' ? freshData.coverPageCharge : 2.0),
-          platformFee: typeof freshData.platformCommission === 'number'
-            ? freshData.platformCommission
-            : (typeof freshData.printSettings?.commissionAmount === 'number' ? freshData.printSettings.commissionAmount : 2.0)
-        });
+  } catch (error) {
+    console.error("❌ COMPLETE ORDER ERROR:", error.message);
+    next(error);
+  }
+});
 
-        const folderName = 'xerox_processed_orders';
-        const coverFileName = `${orderCode}_cover`;
-        
-        console.log(`📤 Uploading cover page to Cloudinary...`);
-        const { getConfigForUrl } = require("./cloudinary");
-        const firstUrl = fileUrls && fileUrls.length > 0 ? fileUrls[0] : null;
-        const resolvedConfig = getConfigForUrl(firstUrl);
-        cloudinary.config(resolvedConfig);
-
-        const uploadResult = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream({
-                folder: folderName,
-                public_id: coverFileName,
-                resource_type: 'image',
-                access_mode: 'public',
-                overwrite: true,
-                invalidate: true,
-                format: 'pdf',
-            }, (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-            });
-            uploadStream.end(coverPageBuffer);
-        });
+// ============================================================================
+// ENDPOINTS: ORDER PROCESSING RECOVERY (Admin)
+// ============================================================================
+// 🔒 Orders whose processing kept failing wait in `needs_attention` (order_processing.js)
+// until an operator retries them or cancels them (refund + file purge).
+async function findOrderRef(orderId) {
+  const { doc: orderDoc, db: targetDb } = await findCustomerOrder(orderId);
+  if (!orderDoc || !orderDoc.exists) return null;
+  return targetDb.collection("xerox_orders").doc(orderId);
+}
 
-        try {
-            await cloudinary.uploader.explicit(uploadResult.public_id, {
-                type: 'upload',
-                resource_type: 'image',
-                access_mode: 'public',
-                invalidate: true
-            });
-        } catch (e) {
-            console.warn(`⚠️ Force public for cover page failed: ${e.message}`);
-        }
+// Files can be attached or replaced until processing starts, or while the worker holds the
+// order for a page-count top-up (see order_processing.js).
+function canChangeFiles(orderData) {
+  if (orderData.processingStatus === 'awaiting_top_up') return true;
+  return !orderData.processingStatus && ['created', 'paid'].includes(currentState(orderData));
+}
 
-        coverPageUrl = uploadResult.secure_url;
-        coverPagePublicId = uploadResult.public_id;
-        
-        const coverPageSignedUrl = getSignedUrl(coverPageUrl, activeConfig, null, coverPagePublicId);
-        
-        finalFileUrls = [coverPageSignedUrl, ...fileUrls];
-        finalPublicIds = [coverPagePublicId, ...incomingPublicIds];
-        printSequence = ["coverPage", ...files.map((f, i) => `file${i+1}`)];
-      } else {
-        console.log(`💧 Processing Watermarks for Order ${orderId} (Total pages: ${totalPrintablePages} <= 5)...`);
-        
-        // 🔄 Sequential Watermarking (Uses mode-aware logic)
-        const watermarkedResults = await Promise.all(
-          fileUrls.map((url, index) => 
-            applyWatermark(url, orderId, orderCode, index + 1, incomingPublicIds[index], printMode)
-          )
-        );
-
-        finalFileUrls = watermarkedResults.map((r, i) => r.url || fileUrls[i]);
-        // Must read incomingPublicIds (from the order document), not the request body's
-        // publicIds — a request that omits publicIds would throw here, and the catch
-        // below refunds and hard-deletes a valid paid order.
-        finalPublicIds = watermarkedResults.map((r, i) => r.publicId || incomingPublicIds[i]);
-        printSequence = files.map((f, i) => `file${i+1}`);
-      }
+// A signed-in customer's own order, with its data; `error` ({ status, message }) otherwise.
+async function findOwnOrderRef(orderId, user) {
+  const { doc: orderDoc, db: targetDb } = await findCustomerOrder(orderId);
+  if (!orderDoc || !orderDoc.exists) return { orderRef: null, error: { status: 404, message: "Order not found" } };
+  const orderData = orderDoc.data();
+  if (!orderData.userId || orderData.userId !== user.uid) {
+    return { orderRef: null, error: { status: 403, message: "This order belongs to another account" } };
+  }
+  return { orderRef: targetDb.collection("xerox_orders").doc(orderId), orderData, error: null };
+}
 
-      // Update project databases with the FINAL watermarked/prepend links and cover page metadata
-      const updateData = {
-        fileUrls: finalFileUrls,
-        publicIds: finalPublicIds,
-        mirroredToAdmin: true,
-        status: 'ACTIVE',
-        generateCoverPage: generateCoverPageEnabled,
-        coverPageCharge: generateCoverPageEnabled ? 2.0 : 0.0,
-        coverPageUrl: coverPageUrl,
-        coverPagePublicId: coverPagePublicId,
-        printSequence: printSequence,
-        generatedCoverPage: generateCoverPageEnabled,
-      };
-
-      await orderRef.update(updateData);
-
-      const resolvedShopId = freshData?.shopId || freshData?.printSettings?.shopId || (isReviewerTest ? 'reviewer_shop_store' : null);
-      if (resolvedShopId) {
-        console.log(`📡 Mirroring finalized Order ${orderId} to Shop Dashboard (${resolvedShopId})...`);
-        const watermarkedResults = finalFileUrls.map((url, idx) => ({
-            url: url,
-            publicId: finalPublicIds[idx]
-        }));
-        await syncOrderToAdmin(orderId, watermarkedResults);
-      }
+app.post("/api/v1/admin/orders/:id/retry-processing", requireAdminKey, async (req, res, next) => {
+  try {
+    const orderRef = await findOrderRef(req.params.id);
+    if (!orderRef) return res.status(404).json({ success: false, error: "Order not found" });
 
-      } catch (err) {
-        console.error("❌ Processing Failure (HARD PURGE):", err.message);
-        
-        try {
-          const orderDoc = await orderRef.get();
-          if (orderDoc.exists) {
-            const data = orderDoc.data();
-            const paymentId = data.razorpayPaymentId;
-            const isBypass = paymentId && paymentId.startsWith('pay_admin_');
-
-            // 💸 1. INITIATE REFUND (if real money was spent)
-            if (paymentId && !isBypass) {
-              try {
-                console.log(`💸 Initiating AUTOMATIC REFUND for failed Order ${orderId}...`);
-                await razorpayInstance.payments.refund(paymentId, {
-                  notes: { reason: "Processing Error - Watermark Verification Failed" }
-                });
-                console.log(`✅ Refund Successful for failed Order ${orderId}.`);
-              } catch (refErr) {
-                console.error(`⚠️ Refund failed for ${orderId}: ${refErr.message}`);
-              }
-            }
+    await retryOrderProcessing(orderRef);
+    console.log(`🔁 [ADMIN] Order ${req.params.id} re-queued for processing.`);
+    res.json({ success: true, processingStatus: 'queued' });
+  } catch (error) {
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
+    next(error);
+  }
+});
 
-            // 🗑️ 2. DELETE FILES FROM CLOUDINARY
-            try {
-              console.log(`🔥 IMMEDIATELY purging Cloudinary files for failed order ${orderId}...`);
-              await deleteOrderFilesFromCloudinary(orderId, data, collectionName);
-            } catch (cloudErr) {
-              console.error(`⚠️ Cloudinary Purge Failed for ${orderId}: ${cloudErr.message}`);
-            }
+app.post("/api/v1/admin/orders/:id/cancel-processing", requireAdminKey, async (req, res, next) => {
+  try {
+    const orderRef = await findOrderRef(req.params.id);
+    if (!orderRef) return res.status(404).json({ success: false, error: "Order not found" });
+
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+      ? req.body.reason.trim().slice(0, 200)
+      : undefined;
+    const { refundId } = await cancelOrderProcessing(orderRef, { reason });
+    res.json({ success: true, processingStatus: 'cancelled', refundId });
+  } catch (error) {
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
+    next(error);
+  }
+});
 
-            // 🔥 3. HARD DELETE RECORD (BOTH COLLECTIONS)
-            console.log(`🧹 Cleaning up Firebase traces for failed order ${orderId}...`);
-            await orderRef.delete();
-            
-            if (data.shopId) {
-              await dbAdmin.collection("shops").doc(data.shopId).collection("orders").doc(orderId).delete().catch(() => null);
-            }
-          }
-        } catch (purgeErr) {
-          console.error(`⚠️ Hard Purge Error for ${orderId}: ${purgeErr.message}`);
-        }
+// ============================================================================
+// ENDPOINT: CANCEL ORDER (Customer)
+// ============================================================================
+// 🔒 Signed-in customers only (requireUser), for their own orders, until the shop starts
+// printing. Refunds the amount paid less CANCELLATION_FEE (cancellation_service.js).
+app.post("/orders/:orderId/cancel", requireUser, async (req, res, next) => {
+  try {
+    const orderRef = await findOrderRef(req.params.orderId);
+    if (!orderRef) return res.status(404).json({ success: false, error: "Order not found" });
 
-        // DO NOT display to Admin App/User App (Stop the sync)
-        if (!res.headersSent) {
-          return res.status(500).json({ 
-            success: false, 
-            error: "Processing failed. The order has been cancelled and refunded (if applicable).",
-            details: err.message 
-          });
-        }
-      }
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+      ? req.body.reason.trim().slice(0, 200)
+      : null;
+    const result = await cancelOrderForCustomer(orderRef, req.user, { reason });
+    res.json({
+      success: true,
+      message: result.refundError
+        ? "Order cancelled. Your refund is being processed by our support team."
+        : "Order cancelled.",
+      refundAmount: result.refundAmount,
+      cancellationFee: result.fee,
+      refundId: result.refundId,
+    });
+  } catch (error) {
+    if (error.status === 403 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+// ============================================================================
+// ENDPOINTS: PAGE-COUNT TOP-UP (Customer)
+// ============================================================================
+// 🔒 Signed-in customers only, for their own orders held as NEEDS_TOP_UP because the
+// uploaded files have more pages than were paid for (top_up_service.js). /top-up opens a
+// Razorpay order for the difference; /top-up/verify records the payment, after which the
+// order is processed again on its own.
+app.post("/orders/:orderId/top-up", requireUser, async (req, res, next) => {
+  try {
+    const { orderRef, error } = await findOwnOrderRef(req.params.orderId, req.user);
+    if (error) return res.status(error.status).json({ success: false, error: error.message });
 
-    // 5. Send final success to Frontend
-    res.json({ 
-      success: true, 
-      message: "Order watermarked and mirrored to shop.",
-      orderCode: orderCode
+    const topUp = await requestTopUp(orderRef);
+    res.json({
+      success: true,
+      razorpayOrderId: topUp.razorpayOrderId,
+      amount: topUp.amount,
+      key: process.env.RAZORPAY_KEY_ID
     });
+  } catch (error) {
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
+    next(error);
+  }
+});
 
+app.post("/orders/:orderId/top-up/verify", requireUser, async (req, res, next) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ success: false, error: "Payment details missing" });
+    }
+    const { orderRef, error } = await findOwnOrderRef(req.params.orderId, req.user);
+    if (error) return res.status(error.status).json({ success: false, error: error.message });
+
+    if (!verifyTopUpSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({ success: false, error: "Invalid payment signature" });
+    }
+    await applyTopUp(orderRef, { razorpayOrderId: razorpay_order_id, paymentId: razorpay_payment_id });
+    res.json({ success: true, message: "Top-up received." });
   } catch (error) {
-    console.error("❌ COMPLETE ORDER ERROR:", error.message);
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
     next(error);
   }
 });
@@ -645,10 +729,16 @@ app.post("/mark-printed", async (req, res, next) => {
 
       if (orderDoc.exists) {
         const orderData = orderDoc.data();
-        await orderDoc.ref.update({
-          orderStatus: 'printing completed',
-          printStatus: 'printed',
-          printedAt: admin.firestore.FieldValue.serverTimestamp(),
+        // Only an order in the shop's queue can be printed (not one still processing,
+        // cancelled or already collected); see order_lifecycle.js.
+        await transitionOrder(orderDoc.ref, 'ready', {
+          actor: { type: 'shop', id: shopId || orderData.shopId || null },
+          reason: 'Marked printed',
+          updates: {
+            orderStatus: 'printing completed',
+            printStatus: 'printed',
+            printedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
         });
         customerDocUpdated = true;
         console.log(`✅ Customer DB updated for ${orderId}`);
@@ -671,6 +761,10 @@ app.post("/mark-printed", async (req, res, next) => {
         }
       }
     } catch (err) {
+      if (err.status === 409) {
+        console.warn(`⚠️ [mark-printed] Refused for ${orderId}: ${err.message}`);
+        return res.status(409).json({ success: false, error: err.message, from: err.from, to: err.to });
+      }
       console.warn("⚠️ Customer DB update error in /mark-printed:", err.message);
     }
 
@@ -722,13 +816,26 @@ app.post("/mark-delivered", async (req, res, next) => {
       let foundCol = collection;
 
       // 🔍 1. Find the order in customer databases
-      const { findCustomerOrder } = require("./firebase");
       const { doc, db: targetDb } = await findCustomerOrder(orderId);
       if (doc && doc.exists) {
         foundData = doc.data();
       }
 
       if (foundData) {
+         // 0️⃣ LIFECYCLE: only a printed (ready) order can be collected
+         try {
+           await transitionOrder(doc.ref, 'collected', {
+             actor: { type: 'shop', id: shopId || foundData.shopId || null },
+             reason: 'Collected by customer',
+           });
+         } catch (lifecycleErr) {
+           if (lifecycleErr.status === 409) {
+             console.warn(`⚠️ [mark-delivered] Refused for ${orderId}: ${lifecycleErr.message}`);
+             return res.status(409).json({ success: false, error: lifecycleErr.message, from: lifecycleErr.from, to: lifecycleErr.to });
+           }
+           throw lifecycleErr;
+         }
+
          // 1️⃣ WALLET SYSTEM SYNC (Credit Shop)
          if (shopId) {
            try {
@@ -879,7 +986,6 @@ app.post("/delete-order-files", async (req, res, next) => {
     let colForDeletion = "xerox_orders";
 
     // Check xerox_orders
-    const { findCustomerOrder } = require("./firebase");
     const { doc } = await findCustomerOrder(orderId);
     if (doc && doc.exists) {
         dataForDeletion = doc.data();
@@ -907,34 +1013,56 @@ app.post("/delete-order-files", async (req, res, next) => {
 // ============================================================================
 // ENDPOINT: REFUND PAYMENT
 // ============================================================================
-// 🔒 Admin-guarded: this route refunds arbitrary Razorpay payments for arbitrary amounts.
-// It has no legitimate unauthenticated caller — the customer app's refundPayment() is a
-// best-effort fire-and-forget call that already treats failure as non-fatal.
-// Phase 1 additionally sources the amount from the order record instead of the request body.
+// 🔒 Admin-guarded. Refunds are keyed by order: the ceiling is the order's stored
+// totalPaid less earlier refunds, never an amount from the request (see refund_service.js).
+// Body: { orderId, amount?, files?, reason? }. `amount` (rupees) or `files` (indices into
+// printSettings.files, e.g. one that failed to print) make it a partial refund; with
+// neither, everything left is refunded.
 app.post("/refund-payment", requireAdminKey, async (req, res, next) => {
   try {
-    const { razorpay_payment_id, amount } = req.body;
-    if (!razorpay_payment_id) {
-      return res.status(400).json({ error: "razorpay_payment_id is required" });
+    const { orderId, amount, files, reason } = req.body;
+    if (!orderId) {
+      return res.status(400).json({ success: false, error: "orderId is required" });
+    }
+    if (amount != null && files != null) {
+      return res.status(400).json({ success: false, error: "Send either amount or files, not both" });
+    }
+    if (files != null && (!Array.isArray(files) || files.length === 0 || !files.every(Number.isInteger))) {
+      return res.status(400).json({ success: false, error: "files must be a list of file indices" });
+    }
+
+    const orderRef = await findOrderRef(orderId);
+    if (!orderRef) return res.status(404).json({ success: false, error: "Order not found" });
+
+    let refundAmount = amount != null ? Number(amount) : null;
+    if (files) {
+      const orderData = (await orderRef.get()).data();
+      refundAmount = filesRefundAmount(orderData, files);
     }
-    // Check for Admin Bypass Mock Payment
-    if (razorpay_payment_id.startsWith('pay_admin_')) {
-      console.log(`🛡️ Refund skipped for Admin Bypass payment: ${razorpay_payment_id}`);
+
+    const refund = await refundOrder(orderRef, {
+      amount: refundAmount,
+      reason: reason || (files ? `Files ${files.map(i => i + 1).join(", ")} not printed` : "Refunded by admin"),
+      kind: files ? 'file_failure' : 'admin',
+      actor: { type: 'admin', id: null },
+    });
+    if (refund.status === 'skipped') {
       return res.json({
         success: true,
         message: "Refund skipped for Admin Bypass (No actual money charged)"
       });
     }
-    console.log(`💸 Processing refund for payment ${razorpay_payment_id}...`);
-    const refund = await razorpayInstance.payments.refund(razorpay_payment_id, {
-      amount: Math.round(amount * 100) // Convert to paise
-    });
     res.json({
       success: true,
-      refundId: refund.id,
+      refundId: refund.refundId,
+      refundRecordId: refund.refundRecordId,
+      amount: refund.amount,
       message: "Refund initiated successfully"
     });
   } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error("❌ Refund error:", error);
     res.status(500).json({
       success: false,
@@ -1064,6 +1192,32 @@ app.post("/api/v1/admin/withdrawal/:id/reject", requireAdminKey, async (req, res
   }
 });
 // ============================================================================
+// ENDPOINT: LOCAL STORAGE FILES (STORAGE_DRIVER=local only)
+// ============================================================================
+// Serves files kept on disk by the local storage driver. Every link is signed and
+// expires (storage.signedUrl), like Cloudinary's private download links.
+if (storage.name === "local") {
+  app.get("/files/*filePath", (req, res, next) => {
+    try {
+      const relative = req.params.filePath.join("/");
+      const fullPath = storage.verifyRequest(relative, req.query);
+      if (!fullPath) return res.status(403).json({ error: "Invalid or expired file link" });
+
+      if (req.query.name) {
+        // Same restriction as /proxy-download: nothing that could break out of the header value
+        const safeName = String(req.query.name).replace(/[^A-Za-z0-9._-]/g, '_');
+        res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
+      }
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.sendFile(fullPath, (err) => {
+        if (err && !res.headersSent) next(err);
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+// ============================================================================
 // ENDPOINT: PROXY DOWNLOAD (Fixes CORS & Filenames for API links)
 // ============================================================================
 app.get("/proxy-download", async (req, res, next) => {
@@ -1071,7 +1225,8 @@ app.get("/proxy-download", async (req, res, next) => {
     const { url, filename } = req.query;
     if (!url) return res.status(400).json({ error: "URL is required" });
 
-    // Host allowlist. Without it this endpoint proxies any URL the host can reach,
+    // Only URLs the storage driver serves files from (Cloudinary over https, or the local
+    // driver's base URL). Without this the endpoint proxies any URL the host can reach,
     // including cloud metadata endpoints and internal services (SSRF).
     let parsedUrl;
     try {
@@ -1079,8 +1234,7 @@ app.get("/proxy-download", async (req, res, next) => {
     } catch (_) {
       return res.status(400).json({ error: "Malformed URL" });
     }
-    const ALLOWED_DOWNLOAD_HOSTS = new Set(['res.cloudinary.com', 'api.cloudinary.com']);
-    if (parsedUrl.protocol !== 'https:' || !ALLOWED_DOWNLOAD_HOSTS.has(parsedUrl.hostname)) {
+    if (!storage.isStorageUrl(parsedUrl.toString())) {
       console.warn(`⚠️ [PROXY] Blocked disallowed download host: ${parsedUrl.hostname}`);
       return res.status(400).json({ error: "Unsupported download host" });
     }
@@ -1089,35 +1243,17 @@ app.get("/proxy-download", async (req, res, next) => {
     const safeName = String(filename || 'download.pdf').replace(/[^A-Za-z0-9._-]/g, '_');
 
     console.log(`📡 [PROXY] Downloading: ${safeName}`);
-    const axios = require('axios');
-    const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024; // bound the transfer; unbounded proxying is a DoS vector
-    const response = await axios.get(parsedUrl.toString(), {
-      responseType: 'stream',
-      timeout: 30000,
-      maxContentLength: MAX_DOWNLOAD_BYTES,
-      maxBodyLength: MAX_DOWNLOAD_BYTES,
-      maxRedirects: 0, // a redirect could hop off the allowlisted host
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      }
-    });
+    // Bounded: unbounded proxying is a DoS vector
+    const asset = await storage.get(parsedUrl.toString(), null, { maxBytes: 100 * 1024 * 1024 });
 
     res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
     res.setHeader('Content-Type', 'application/octet-stream');
     res.setHeader('X-Content-Type-Options', 'nosniff');
-
-    // Don't leak the upstream socket if the client goes away mid-download.
-    res.on('close', () => response.data.destroy());
-    response.data.on('error', (streamErr) => {
-      console.error("❌ [PROXY] Upstream stream error:", streamErr.message);
-      if (!res.headersSent) res.status(502).json({ error: "Upstream download failed" });
-      else res.destroy();
-    });
-
-    response.data.pipe(res);
+    res.send(asset.buffer);
   } catch (error) {
     console.error("❌ Proxy Download Failed:", error.message);
     if (!res.headersSent) {
+      if (error.status === 413) return res.status(413).json({ error: error.message });
       res.status(500).json({ error: "Cloudinary fetch failed", details: error.message });
     }
   }
@@ -1675,118 +1811,121 @@ app.post("/api/shop/pricing", async (req, res, next) => {
 });
 
 // ============================================================================
-// ENDPOINT: DYNAMIC PRICING CALCULATION API
+// ENDPOINT: UPLOAD PREFLIGHT
 // ============================================================================
-app.post("/api/pricing/calculate", async (req, res, next) => {
+// Called by the app right after uploading, before checkout. Reports per-file problems
+// (password protected, damaged, empty, over the page or size limits, fonts that are not
+// embedded) so a file that cannot be printed never reaches a paid order.
+// 🔒 Signed-in customers only (requireUser), for URLs in this server's storage.
+app.post("/api/files/preflight", requireUser, async (req, res, next) => {
   try {
-    const { shopId, serviceId, paperSize, copies, pages, printType, isPortrait, isColor } = req.body;
-    if (!shopId || !serviceId || !paperSize) {
-      return res.status(400).json({ success: false, error: "shopId, serviceId, and paperSize are required" });
+    const { fileUrls, publicIds, files } = req.body;
+    if (!Array.isArray(fileUrls) || fileUrls.length === 0) {
+      return res.status(400).json({ success: false, error: "fileUrls must contain at least one file" });
     }
-
-    const numCopies = Number(copies) || 1;
-    const numPages = Number(pages) || 1;
-    const sizeKey = paperSize.toLowerCase();
-
-    const shopDoc = await dbAdmin.collection("shops").doc(shopId).get();
-    if (!shopDoc.exists) return res.status(404).json({ success: false, error: "Shop not found" });
-
-    const shopData = shopDoc.data();
-    const zikrinterServices = shopData.zikrinterServices || {};
-    const serviceConfig = zikrinterServices[serviceId] || {};
-
-    const serviceDoc = await dbCustomer.collection("services").doc(serviceId).get();
-    if (!serviceDoc.exists || serviceDoc.data().isDeleted === true) {
-      return res.status(404).json({ success: false, error: "Service not found" });
+    if (fileUrls.length > 50) {
+      return res.status(400).json({ success: false, error: "At most 50 files can be checked at once" });
+    }
+    // Only files in our own storage are fetched (no SSRF through this endpoint).
+    if (!fileUrls.every(url => typeof url === 'string' && storage.isStorageUrl(url))) {
+      return res.status(400).json({ success: false, error: "fileUrls must point to uploaded files" });
     }
-    const globalParams = serviceDoc.data().parameters || {};
-
-    const paperSizesConfig = serviceConfig.paperSizes || {};
-    const sizeConfig = paperSizesConfig[sizeKey];
-
-    let bwSingle = 2.0;
-    let bwDouble = 3.0;
-    let bwBulk = 1.5;
-
-    let colorSingle = 10.0;
-    let colorDouble = 15.0;
-    let colorBulk = 8.0;
 
-    if (sizeConfig) {
-      bwSingle = Number(sizeConfig.bw?.singleSidePrice) || bwSingle;
-      bwDouble = Number(sizeConfig.bw?.doubleSidePrice) || bwDouble;
-      bwBulk = Number(sizeConfig.bw?.bulkPrintingPrice) || bwBulk;
+    const result = await preflightFiles({
+      fileUrls,
+      publicIds: Array.isArray(publicIds) ? publicIds : [],
+      files: Array.isArray(files) ? files : [],
+    });
+    res.json({ success: true, ok: result.ok, files: result.files });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      colorSingle = Number(sizeConfig.color?.singleSidePrice) || colorSingle;
-      colorDouble = Number(sizeConfig.color?.doubleSidePrice) || colorDouble;
-      colorBulk = Number(sizeConfig.color?.bulkPrintingPrice) || colorBulk;
-    } else {
-      bwSingle = Number(serviceConfig[`${sizeKey}_bw_singleSidePrice`]) || bwSingle;
-      bwDouble = Number(serviceConfig[`${sizeKey}_bw_doubleSidePrice`]) || bwDouble;
-      bwBulk = Number(serviceConfig[`${sizeKey}_bw_bulkPrintingPrice`]) || bwBulk;
-
-      colorSingle = Number(serviceConfig[`${sizeKey}_color_singleSidePrice`]) || colorSingle;
-      colorDouble = Number(serviceConfig[`${sizeKey}_color_doubleSidePrice`]) || colorDouble;
-      colorBulk = Number(serviceConfig[`${sizeKey}_color_bulkPrintingPrice`]) || colorBulk;
-
-      if (sizeKey === 'a4') {
-        bwSingle = Number(serviceConfig.bw_singleSidePrice) || bwSingle;
-        bwDouble = Number(serviceConfig.bw_doubleSidePrice) || bwDouble;
-        bwBulk = Number(serviceConfig.bw_bulkPrintingPrice) || bwBulk;
-        colorSingle = Number(serviceConfig.color_singleSidePrice) || Number(serviceConfig.singleSidePrice) || colorSingle;
-        colorDouble = Number(serviceConfig.color_doubleSidePrice) || colorDouble;
-        colorBulk = Number(serviceConfig.color_bulkPrintingPrice) || colorBulk;
-      }
+// ============================================================================
+// ENDPOINT: DYNAMIC PRICING CALCULATION API
+// ============================================================================
+// Two modes. Cart mode (a `files` array) prices a whole order exactly as createOrder will:
+// per-file line items at each file's own paper size, plus commission, extra-page fee and
+// cover page charge. Tuple mode (pages/copies/isColor) prices a single file for the
+// in-app price preview. Both return a signed quote token that checkout must redeem.
+app.post("/api/pricing/calculate", async (req, res, next) => {
+  try {
+    const { shopId, serviceId, paperSize, copies, pages, printType, isPortrait, isColor, files: cartFiles } = req.body;
+    const isCart = Array.isArray(cartFiles);
+    if (!shopId || !serviceId || (!paperSize && !isCart)) {
+      return res.status(400).json({ success: false, error: "shopId, serviceId, and paperSize are required" });
     }
-
-    let rate = isColor ? colorSingle : bwSingle;
-    if (printType === 'doubleSide') {
-      rate = isColor ? colorDouble : bwDouble;
+    if (isCart && cartFiles.length === 0) {
+      return res.status(400).json({ success: false, error: "files must contain at least one file" });
     }
-
-    const bwBulkStart = Number(globalParams[`${sizeKey}_bw_bulkStartPages`] || globalParams.bw_bulkStartPages || 10);
-    const colorBulkStart = Number(globalParams[`${sizeKey}_color_bulkStartPages`] || globalParams.color_bulkStartPages || 10);
-    const bulkStart = isColor ? colorBulkStart : bwBulkStart;
-    const bulkRate = isColor ? colorBulk : bwBulk;
-
-    if (numPages >= bulkStart && bulkRate > 0) {
-      rate = bulkRate;
+    const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+    const invalidIndex = isCart ? cartFiles.findIndex((f) =>
+      !f || typeof f !== "object" || Array.isArray(f) || !isPositiveInteger(f.pageCount) || !isPositiveInteger(f.copies)) : -1;
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `files[${invalidIndex}] must be an object with a positive integer pageCount and copies`,
+      });
     }
 
-    const baseCost = rate * numPages * numCopies;
-
-    const bwSingleGlobal = globalParams[`${sizeKey}_bw_singleSide`] || globalParams.bw_singleSide || {};
-    const colorSingleGlobal = globalParams[`${sizeKey}_color_singleSide`] || globalParams.color_singleSide || {};
-    
-    let commType = serviceDoc.data().commissionType || 'percentage';
-    let commVal = Number(serviceDoc.data().commissionValue) || 0.0;
+    // Same engine createOrder uses, so the quote is exactly what checkout charges.
+    const options = pricingOptions(req.body);
+    const context = await loadPricingContext({ shopId, serviceId, paperSize: options.paperSize });
+    if (!context.shopExists) return res.status(404).json({ success: false, error: "Shop not found" });
+    if (!context.serviceExists) return res.status(404).json({ success: false, error: "Service not found" });
 
-    if (serviceDoc.data().commissionValue === undefined) {
-      const selectedGlobal = isColor ? colorSingleGlobal : bwSingleGlobal;
-      commType = selectedGlobal.commissionType || commType;
-      commVal = Number(selectedGlobal.commission) || commVal;
-    }
-
-    let commission = 0.0;
-    if (commType === 'percentage') {
-      commission = baseCost * (commVal / 100);
-    } else {
-      commission = commVal * numPages * numCopies;
+    if (isCart) {
+      const quote = priceFiles(cartFiles, context, options);
+      const signed = issueQuote({ shopId, serviceId, files: cartFiles, breakdown: quote });
+      return res.json({
+        success: true,
+        mode: "cart",
+        totalPrintablePages: quote.totalPrintablePages,
+        generateCoverPage: quote.generateCoverPage,
+        coverPageCharge: quote.coverPageCharge,
+        quoteToken: signed.token,
+        quoteId: signed.quote.quoteId,
+        quoteExpiresAt: new Date(signed.quote.expiresAt).toISOString(),
+        breakdown: {
+          lineItems: quote.lineItems,
+          printingCost: quote.printingCost,
+          commissionType: quote.commissionType,
+          commissionValue: quote.commissionValue,
+          commission: quote.platformCommission,
+          extraPageFee: quote.extraPageFee,
+          coverPageCharge: quote.coverPageCharge,
+          binding: quote.binding,
+          bindingCost: quote.bindingCost,
+          platformFee: quote.platformFee,
+          grandTotal: quote.totalAmount,
+          rulesVersion: quote.rulesVersion,
+        }
+      });
     }
 
-    const platformFee = 1.0;
-    const extraPageFee = numPages > 5 ? 2.0 * numCopies : 0.0;
-    const finalAmount = baseCost + commission + platformFee + extraPageFee;
-
-    const totalPrintablePages = numPages * numCopies;
-    const generateCoverPage = totalPrintablePages > 5;
-    const coverPageCharge = generateCoverPage ? 2.0 : 0.0;
+    const numCopies = Number(copies) || 1;
+    const numPages = Number(pages) || 1;
+    const files = [{
+      pageCount: numPages,
+      copies: numCopies,
+      color: isColor ? "COLOR" : "BW",
+      doubleSided: printType === 'doubleSide',
+      paperSize,
+    }];
+    const quote = priceFiles(files, context, { paperSize, serviceId, binding: normalizeBinding(req.body.binding) });
+    const [line] = quote.lineItems;
+    const signed = issueQuote({ shopId, serviceId, files, breakdown: quote });
 
     res.json({
       success: true,
-      totalPrintablePages,
-      generateCoverPage,
-      coverPageCharge,
+      mode: "single",
+      totalPrintablePages: quote.totalPrintablePages,
+      generateCoverPage: quote.generateCoverPage,
+      coverPageCharge: quote.coverPageCharge,
+      quoteToken: signed.token,
+      quoteId: signed.quote.quoteId,
+      quoteExpiresAt: new Date(signed.quote.expiresAt).toISOString(),
       breakdown: {
         paperSize,
         copies: numCopies,
@@ -1794,16 +1933,25 @@ app.post("/api/pricing/calculate", async (req, res, next) => {
         printType,
         isPortrait,
         isColor,
-        rate,
-        baseCost,
-        commissionType: commType,
-        commissionValue: commVal,
-        commission,
-        platformFee,
-        finalAmount,
+        rate: line.rate,
+        baseCost: quote.printingCost,
+        commissionType: quote.commissionType,
+        commissionValue: quote.commissionValue,
+        commission: quote.platformCommission,
+        extraPageFee: quote.extraPageFee,
+        coverPageCharge: quote.coverPageCharge,
+        binding: quote.binding,
+        bindingCost: quote.bindingCost,
+        platformFee: quote.platformFee,
+        finalAmount: quote.totalAmount,
+        rulesVersion: quote.rulesVersion,
       }
     });
   } catch (error) {
+    // e.g. a binding the shop does not offer
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
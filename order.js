@@ -1,195 +1,10 @@
 const { dbCustomer: db, dbCustomer2, dbCustomer3, dbAdmin, findCustomerOrder, admin } = require("./firebase");
+const { calculatePricingBreakdown } = require("./pricing_service");
+const { printSegments, printedPageCount } = require("./page_ranges");
 /* =================================================
    HELPERS
 ================================================= */
 
-/**
- * Calculate cost based on print settings
- * Color: ₹10 per page
- * B/W (Single): ₹2 per page
- * B/W (Double): ₹3 per sheet (2 pages)
- */
-async function calculatePricingBreakdown(printSettings) {
-  let printingCost = 0;
-  let platformCommission = 0;
-
-  if (!printSettings.files || !Array.isArray(printSettings.files)) {
-    return {
-      printingCost: 0,
-      platformCommission: 0,
-      totalAmount: 0,
-      shopPricingUsed: {},
-      commissionType: 'percentage',
-      commissionValue: 0,
-    };
-  }
-
-  const serviceId = printSettings.serviceId || 'ZHwQd18Vy08TZkyBFXjB';
-  let shopConfig = null;
-  let globalParams = null;
-
-  if (printSettings.shopId) {
-    try {
-      const shopDoc = await dbAdmin.collection("shops").doc(printSettings.shopId).get();
-      if (shopDoc.exists) {
-        const shopData = shopDoc.data();
-        const zikrinterServices = shopData.zikrinterServices || {};
-        shopConfig = zikrinterServices[serviceId];
-
-        let serviceDoc = await db.collection("zikrinter").doc(serviceId).get();
-        if (!serviceDoc.exists) {
-          serviceDoc = await db.collection("services").doc(serviceId).get();
-        }
-        if (serviceDoc.exists) {
-          globalParams = serviceDoc.data().parameters || {};
-        }
-      }
-    } catch (e) {
-      console.error("Error loading shop pricing in breakdown:", e.message);
-    }
-  }
-
-  const paperSize = printSettings.paperSize || (printSettings.files && printSettings.files[0] && printSettings.files[0].paperSize) || 'A4';
-  const sizeKey = paperSize.toLowerCase();
-
-  // 1. Fallback defaults
-  let colorSinglePrice = 10.0;
-  let colorDoublePrice = 15.0;
-  let colorBulkPrice = 8.0;
-  let colorBulkSetPages = 50;
-
-  let bwSinglePrice = 2.0;
-  let bwDoublePrice = 3.0; // ₹3 per sheet (2 pages)
-  let bwBulkPrice = 1.5;
-  let bwBulkSetPages = 100;
-
-  // 2. Overwrite with shop specific prices if loaded
-  if (shopConfig) {
-    const paperSizesConfig = shopConfig.paperSizes || {};
-    const sizeConfig = paperSizesConfig[sizeKey];
-
-    if (sizeConfig) {
-      bwSinglePrice = Number(sizeConfig.bw?.singleSidePrice) || bwSinglePrice;
-      bwDoublePrice = Number(sizeConfig.bw?.doubleSidePrice) || bwDoublePrice;
-      bwBulkPrice = Number(sizeConfig.bw?.bulkPrintingPrice) || bwBulkPrice;
-
-      colorSinglePrice = Number(sizeConfig.color?.singleSidePrice) || colorSinglePrice;
-      colorDoublePrice = Number(sizeConfig.color?.doubleSidePrice) || colorDoublePrice;
-      colorBulkPrice = Number(sizeConfig.color?.bulkPrintingPrice) || colorBulkPrice;
-    } else {
-      bwSinglePrice = Number(shopConfig[`${sizeKey}_bw_singleSidePrice`]) || bwSinglePrice;
-      bwDoublePrice = Number(shopConfig[`${sizeKey}_bw_doubleSidePrice`]) || bwDoublePrice;
-      bwBulkPrice = Number(shopConfig[`${sizeKey}_bw_bulkPrintingPrice`]) || bwBulkPrice;
-
-      colorSinglePrice = Number(shopConfig[`${sizeKey}_color_singleSidePrice`]) || colorSinglePrice;
-      colorDoublePrice = Number(shopConfig[`${sizeKey}_color_doubleSidePrice`]) || colorDoublePrice;
-      colorBulkPrice = Number(shopConfig[`${sizeKey}_color_bulkPrintingPrice`]) || colorBulkPrice;
-
-      if (sizeKey === 'a4') {
-        colorSinglePrice = Number(shopConfig.color_singleSidePrice ?? shopConfig.singleSidePrice ?? colorSinglePrice);
-        colorDoublePrice = Number(shopConfig.color_doubleSidePrice ?? shopConfig.doubleSidePrice ?? colorDoublePrice);
-        colorBulkPrice = Number(shopConfig.color_bulkPrintingPrice ?? shopConfig.bulkPrintingPrice ?? colorBulkPrice);
-
-        bwSinglePrice = Number(shopConfig.bw_singleSidePrice ?? bwSinglePrice);
-        bwDoublePrice = Number(shopConfig.bw_doubleSidePrice ?? bwDoublePrice);
-        bwBulkPrice = Number(shopConfig.bw_bulkPrintingPrice ?? bwBulkPrice);
-      }
-    }
-  }
-
-  // 3. Overwrite bulk setPages from global parameters if loaded
-  if (globalParams) {
-    const colorBulkGlobal = globalParams[`${sizeKey}_color_bulkPrinting`] || globalParams.color_bulkPrinting || globalParams.bulkPrinting;
-    if (colorBulkGlobal && colorBulkGlobal.setPages != null) {
-      colorBulkSetPages = Number(colorBulkGlobal.setPages);
-    }
-    const bwBulkGlobal = globalParams[`${sizeKey}_bw_bulkPrinting`] || globalParams.bw_bulkPrinting;
-    if (bwBulkGlobal && bwBulkGlobal.setPages != null) {
-      bwBulkSetPages = Number(bwBulkGlobal.setPages);
-    }
-  }
-
-  // Track the primary commission type/value used for metadata
-  let primaryCommissionType = 'percentage';
-  let primaryCommissionValue = 0.0;
-  let extraPageFee = 0.0;
-
-  for (const file of printSettings.files) {
-    const pages = file.pageCount || 1;
-    const copies = file.copies || 1;
-    const isColor = file.color === "COLOR";
-    const isDoubleSided = !!(file.doubleSided || file.duplex);
-
-    if (pages > 5) {
-      extraPageFee += 2.0 * copies;
-    }
-
-    let filePrintCost = 0;
-    let fileCommission = 0;
-
-    let paramKey = '';
-    if (isColor) {
-      if (pages >= colorBulkSetPages) {
-        paramKey = 'color_bulkPrinting';
-        filePrintCost = colorBulkPrice * pages * copies;
-      } else if (isDoubleSided && pages >= 2) {
-        paramKey = 'color_doubleSide';
-        const doubleSheets = Math.floor(pages / 2);
-        const remainingSingle = pages % 2;
-        filePrintCost = (doubleSheets * colorDoublePrice + remainingSingle * colorSinglePrice) * copies;
-      } else {
-        paramKey = 'color_singleSide';
-        filePrintCost = colorSinglePrice * pages * copies;
-      }
-    } else {
-      if (pages >= bwBulkSetPages) {
-        paramKey = 'bw_bulkPrinting';
-        filePrintCost = bwBulkPrice * pages * copies;
-      } else if (isDoubleSided && pages >= 2) {
-        paramKey = 'bw_doubleSide';
-        const doubleSheets = Math.floor(pages / 2);
-        const remainingSingle = pages % 2;
-        filePrintCost = (doubleSheets * bwDoublePrice + remainingSingle * bwSinglePrice) * copies;
-      } else {
-        paramKey = 'bw_singleSide';
-        filePrintCost = bwSinglePrice * pages * copies;
-      }
-    }
-
-    // Get commission for this param
-    let commVal = 0;
-    let commType = 'percentage';
-    if (globalParams && globalParams[paramKey]) {
-      commVal = Number(globalParams[paramKey].commission || 0);
-      commType = globalParams[paramKey].commissionType || 'percentage';
-    }
-
-    primaryCommissionType = commType;
-    primaryCommissionValue = commVal;
-
-    if (commType === 'fixed') {
-      fileCommission = commVal * pages * copies;
-    } else {
-      fileCommission = filePrintCost * (commVal / 100.0);
-    }
-
-    printingCost += filePrintCost;
-    platformCommission += fileCommission;
-  }
-
-  // Round commission UP to nearest integer (e.g. ₹2.69 → ₹3)
-  const roundedCommission = Math.ceil(platformCommission);
-
-  return {
-    printingCost,
-    platformCommission: roundedCommission,
-    totalAmount: printingCost + roundedCommission + extraPageFee,
-    shopPricingUsed: shopConfig || {},
-    commissionType: primaryCommissionType,
-    commissionValue: primaryCommissionValue,
-  };
-}
-
 async function calculateCost(printSettings) {
   const breakdown = await calculatePricingBreakdown(printSettings);
   return breakdown.totalAmount;
@@ -209,10 +24,26 @@ async function generateUniquePickupCode() {
   }
   return code;
 }
+
+// Printed pages (x copies) at one colour mode, counting each page range at its own mode.
+function pagesInColorMode(files, mode) {
+  return (files || []).reduce((sum, f) => sum + printSegments(f)
+    .filter(seg => seg.color === mode)
+    .reduce((n, seg) => n + seg.pages, 0) * (f.copies || 1), 0);
+}
+// Price fields the app used to send alongside printSettings. The server never reads them —
+// every amount is recomputed by calculatePricingBreakdown — and they are dropped before the
+// order is stored so nothing downstream can mistake them for the charged price.
+const CLIENT_PRICE_FIELDS = ['shopSubtotal', 'finalAmount', 'commissionAmount', 'commissionType', 'commissionValue'];
+
 /**
  * CREATE ORDER
+ *
+ * `options.breakdown` lets a caller that has already priced the order (and checked it
+ * against the captured payment) pass that breakdown in instead of pricing twice.
+ * `options.capturedAmount` is what Razorpay actually charged, in rupees.
  */
-async function createOrder(printSettings, razorpayOrderId = null, amount = 0, totalPages = 0, printMode = 'xeroxShop', userId = 'guest_user', customId = null, userEmail = null, customerName = null) {
+async function createOrder(printSettings, razorpayOrderId = null, amount = 0, totalPages = 0, printMode = 'xeroxShop', userId = 'guest_user', customId = null, userEmail = null, customerName = null, options = {}) {
   try {
     if (!printSettings || typeof printSettings !== "object") {
       const err = new Error("Invalid printSettings");
@@ -234,19 +65,9 @@ async function createOrder(printSettings, razorpayOrderId = null, amount = 0, to
     
     // Xerox Shop is now the only mode
     const customerCollection = "xerox_orders";
-    let breakdown;
-    if (printSettings.shopSubtotal !== undefined && printSettings.finalAmount !== undefined) {
-      breakdown = {
-        totalAmount: Number(printSettings.finalAmount),
-        printingCost: Number(printSettings.shopSubtotal),
-        platformCommission: Number(printSettings.commissionAmount),
-        commissionType: printSettings.commissionType || 'percentage',
-        commissionValue: Number(printSettings.commissionValue || 0),
-        shopPricingUsed: {},
-      };
-    } else {
-      breakdown = await calculatePricingBreakdown(printSettings);
-    }
+    const breakdown = options.breakdown || await calculatePricingBreakdown(printSettings);
+    printSettings = { ...printSettings };
+    for (const field of CLIENT_PRICE_FIELDS) delete printSettings[field];
     
     const xeroxCode = await generateUniquePickupCode();
     const orderId = xeroxCode;
@@ -265,20 +86,28 @@ async function createOrder(printSettings, razorpayOrderId = null, amount = 0, to
       platformCommission: breakdown.platformCommission,
       commissionType: breakdown.commissionType,
       commissionValue: breakdown.commissionValue,
-      totalPaid: breakdown.totalAmount,
-      shopkeeperEarnings: breakdown.printingCost,
+      totalPaid: options.capturedAmount != null ? options.capturedAmount : breakdown.totalAmount,
+      shopkeeperEarnings: breakdown.printingCost + (breakdown.bindingCost || 0),
       platformEarnings: breakdown.platformCommission,
       shopPricingUsed: breakdown.shopPricingUsed,
+      pricingRulesVersion: breakdown.rulesVersion,
+      pricingLineItems: breakdown.lineItems || [],
+      quoteId: breakdown.quoteId || null,
+      generateCoverPage: breakdown.generateCoverPage === true,
+      coverPageCharge: breakdown.coverPageCharge || 0.0,
+      binding: breakdown.binding || null, // { type, quantity, unitPrice, cost, ... } when bound
+      bindingCost: breakdown.bindingCost || 0.0,
       serviceId,
       serviceName,
       shopId: printSettings.shopId || '',
       shopName: printSettings.shopName || '',
 
       printMode: 'xeroxShop',
-      totalPages: totalPages || (printSettings.files ? printSettings.files.reduce((sum, f) => sum + (f.pageCount || 1) * (f.copies || 1), 0) : 0),
+      totalPages: totalPages || (printSettings.files ? printSettings.files.reduce((sum, f) => sum + printedPageCount(f) * (f.copies || 1), 0) : 0),
       paymentStatus: razorpayOrderId ? "PENDING" : "PAID",
       status: razorpayOrderId ? "CREATED" : "ACTIVE",
       orderStatus: "not printed yet",
+      lifecycleState: razorpayOrderId ? "created" : "paid", // see order_lifecycle.js
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       fileUrls: printSettings.files ? printSettings.files.map(f => f.url).filter(u => u !== undefined) : [],
       publicIds: [],
@@ -287,6 +116,7 @@ async function createOrder(printSettings, razorpayOrderId = null, amount = 0, to
       orderCode: xeroxCode, // 6-digit display code (changed from 4-digit based on code above)
       pickupCode: xeroxCode, 
       customId: customId || null, // Sequential ID (order_1, order_2)
+      pricingFlag: options.pricingFlag || null, // Set when the captured amount exceeded the server price
     };
 
     // ⚡ CUSTOMER WRITE LOGIC (With Dynamic project failover rotation)
@@ -374,7 +204,7 @@ async function syncOrderToAdmin(orderId, watermarkedResults = null) {
     const activeFileUrls = watermarkedResults ? watermarkedResults.map(r => r.url) : orderDocData.fileUrls;
     const activePublicIds = watermarkedResults ? watermarkedResults.map(r => r.publicId) : (orderDocData.publicIds || []);
 
-    const { getSignedUrl, configB } = require('./cloudinary');
+    const storage = require('./storage');
     
     let signedUrls = [];
     let viewUrls = [];
@@ -390,32 +220,14 @@ async function syncOrderToAdmin(orderId, watermarkedResults = null) {
     if (activeFileUrls && Array.isArray(activeFileUrls)) {
       // 🚀 VIEW URLs: All URLs now SIGNED to handle account-level 'Authenticated' restrictions.
       viewUrls = activeFileUrls.map((url, i) => {
-        const activeConfig = configB;
         const pid = activePublicIds[i] || null;
-        return getSignedUrl(url, activeConfig, null, pid);
+        return storage.signedUrl(url, { publicId: pid });
       });
 
       // 📥 DOWNLOAD URLs: Always signed to handle naming & attachment flag
       signedUrls = activeFileUrls.map((url, i) => {
-        const activeConfig = configB;
         const pid = activePublicIds[i] || null;
-        
-        // 🚀 CRITICAL: For Strict Delivery PDFs, we use the API link (but without native attachment flag)
-        if (url && url.includes('api.cloudinary.com') && pid) {
-           const cloudinaryMod = require("cloudinary").v2;
-           cloudinaryMod.config({
-               cloud_name: process.env.CLOUDINARY_CLOUD_NAME_B,
-               api_key: process.env.CLOUDINARY_API_KEY_B,
-               api_secret: process.env.CLOUDINARY_API_SECRET_B
-           });
-           
-           return cloudinaryMod.utils.private_download_url(pid, 'pdf', {
-               resource_type: 'image',
-               type: 'upload'
-           });
-        }
-        
-        return getSignedUrl(url, activeConfig, getReadableName(url, i), pid);
+        return storage.signedUrl(url, { publicId: pid, downloadName: getReadableName(url, i) });
       });
 
       displayFileNames = activeFileUrls.map((url, i) => getReadableName(url, i));
@@ -425,8 +237,8 @@ async function syncOrderToAdmin(orderId, watermarkedResults = null) {
       id: orderId,
       customerName: orderDocData.customerName || orderDocData.userEmail || userId || 'Guest',
       fileName: displayFileNames[0],
-      bwPages: printSettings.files ? printSettings.files.reduce((sum, f) => sum + (f.color === 'BW' ? (f.pageCount || 1) * (f.copies || 1) : 0), 0) : 0,
-      colorPages: printSettings.files ? printSettings.files.reduce((sum, f) => sum + (f.color === 'COLOR' ? (f.pageCount || 1) * (f.copies || 1) : 0), 0) : 0,
+      bwPages: pagesInColorMode(printSettings.files, 'BW'),
+      colorPages: pagesInColorMode(printSettings.files, 'COLOR'),
       isDuplex: printSettings.files ? printSettings.files.some(f => f.doubleSided || f.duplex || f.doubleSide) : false,
       status: 'pending',
       paymentStatus: orderDocData.paymentStatus || 'done',
@@ -462,6 +274,17 @@ async function syncOrderToAdmin(orderId, watermarkedResults = null) {
       layout: printSettings.files && printSettings.files.length > 0 ? (printSettings.files[0].orientation || 'portrait') : 'portrait',
       generateCoverPage: orderDocData.generateCoverPage === true,
       coverPageCharge: orderDocData.coverPageCharge || 0.0,
+      binding: orderDocData.binding
+        ? { type: orderDocData.binding.type, quantity: orderDocData.binding.quantity, cost: orderDocData.binding.cost }
+        : null,
+      bindingCost: orderDocData.bindingCost || 0.0,
+      printRanges: orderDocData.printRanges || [],
+      // The whole order as one print-ready PDF (see print_job_service.js)
+      jobUrl: orderDocData.jobUrl || null,
+      jobPageCount: orderDocData.jobPageCount || null,
+      jobDuplex: orderDocData.jobDuplex === true,
+      // Low-resolution page thumbnails, [{ item: 'coverPage' | 'fileN', urls }] (see thumbnail_service.js)
+      previewUrls: orderDocData.previewUrls || [],
     };
 
     await dbAdmin.collection("shops").doc(shopId).collection("orders").doc(orderId).set(adminOrderData, { merge: true });
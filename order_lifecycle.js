@@ -0,0 +1,133 @@
+const { admin } = require("./firebase");
+
+/**
+ * Order lifecycle.
+ *
+ * An order's progress used to be read from several fields that were written
+ * independently: `status` (CREATED/ACTIVE/completed), `orderStatus` ("not printed yet",
+ * "printing completed", "files purged"), `paymentStatus` and the shop mirror's `status`
+ * (pending/ready). `lifecycleState` on the customer order is now the one authority, and
+ * every change goes through transitionOrder:
+ *
+ *   created -> paid -> processing -> queued -> printing -> ready -> collected
+ *
+ * plus cancelled, refunded and expired (see TRANSITIONS). `processing` is the server
+ * preparing the files (order_processing.js); `queued` is the order waiting in the shop's
+ * print queue. The legacy fields are still written alongside for the apps that read them.
+ *
+ * Each transition is appended to the order's `history` subcollection as { from, to,
+ * actor, reason, at }. Firestore keeps a subcollection when its parent is deleted, so the
+ * history of a collected (and hard-deleted) order survives it.
+ */
+
+const TRANSITIONS = {
+  created: ["paid", "cancelled", "expired"],
+  paid: ["processing", "cancelled", "refunded", "expired"],
+  processing: ["queued", "cancelled", "refunded"],
+  // The shop app only reports completed prints, so `printing` may be skipped.
+  queued: ["printing", "ready", "cancelled", "refunded", "expired"],
+  printing: ["ready", "cancelled", "refunded"],
+  ready: ["collected", "refunded", "expired"],
+  collected: [],
+  cancelled: ["refunded"],
+  refunded: [],
+  expired: ["refunded"],
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+/**
+ * The lifecycle state of an order. Orders written before `lifecycleState` existed are
+ * placed from their legacy fields.
+ */
+function currentState(orderData = {}) {
+  if (STATES.includes(orderData.lifecycleState)) return orderData.lifecycleState;
+
+  if (orderData.orderStatus === "files purged" || orderData.status === "completed") return "collected";
+  if (orderData.orderStatus === "printing completed" || orderData.printStatus === "printed") return "ready";
+  if (orderData.processingStatus === "cancelled") return "cancelled";
+  if (orderData.mirroredToAdmin) return "queued";
+  if (orderData.processingStatus) return "processing";
+  if (orderData.paymentStatus === "PAID" || orderData.status === "ACTIVE") return "paid";
+  return "created";
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Moves an order to `to`, atomically with its history entry. `actor` is { type, id }
+ * (type: customer, shop, admin or system). `updates` are written in the same update,
+ * e.g. the legacy status fields.
+ *
+ * Moving an order to the state it is already in changes nothing and returns
+ * { changed: false }, so a repeated request (a double scan) is harmless; with `repeat`
+ * the history entry is still written, for a step an operator deliberately runs again. An
+ * illegal move throws a 409 carrying `from` and `to`. `check`, when given, is called with
+ * the order's current data inside the transaction and throws to refuse the move.
+ *
+ * Returns { from, to, changed }.
+ */
+async function transitionOrder(orderRef, to, { actor = { type: "system", id: null }, reason = null, updates = {}, repeat = false, check = null } = {}) {
+  if (!STATES.includes(to)) {
+    throw new Error(`Unknown order state '${to}'`);
+  }
+
+  return orderRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists) {
+      const err = new Error("Order not found");
+      err.status = 404;
+      throw err;
+    }
+
+    const from = currentState(snap.data());
+    if (from === to && !repeat) return { from, to, changed: false };
+    if (check) check(snap.data());
+    if (from !== to && !canTransition(from, to)) {
+      const err = new Error(`An order cannot go from '${from}' to '${to}'`);
+      err.status = 409;
+      err.from = from;
+      err.to = to;
+      throw err;
+    }
+
+    tx.update(orderRef, {
+      ...updates,
+      lifecycleState: to,
+      lifecycleUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.set(orderRef.collection("history").doc(), {
+      from,
+      to,
+      actor: { type: actor.type || "system", id: actor.id || null },
+      reason,
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { from, to, changed: from !== to };
+  });
+}
+
+/**
+ * transitionOrder for steps the system takes on its own (payment, processing), where an
+ * unexpected state should be logged rather than fail the step. Returns the result, or
+ * null when the transition was refused.
+ */
+async function recordTransition(orderRef, to, options = {}) {
+  try {
+    return await transitionOrder(orderRef, to, options);
+  } catch (err) {
+    console.warn(`⚠️ Lifecycle: order ${orderRef.id} not moved to '${to}': ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATES,
+  currentState,
+  canTransition,
+  transitionOrder,
+  recordTransition,
+};
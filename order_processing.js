@@ -0,0 +1,690 @@
+const { admin, dbAdmin, dbCustomer, dbCustomer2, dbCustomer3, findCustomerOrder } = require("./firebase");
+const storage = require("./storage");
+const { deleteOrderFilesFromCloudinary } = require("./cleanup");
+const { refundOrder } = require("./refund_service");
+const { syncOrderToAdmin } = require("./order");
+const { applyWatermark } = require("./watermark_service");
+const { printedPageCount, normalizePageRanges } = require("./page_ranges");
+const { normalizeLayout, isImposed } = require("./page_layout");
+const { createJobPdf } = require("./print_job_service");
+const { createPreviews } = require("./thumbnail_service");
+const { grayscaleOrderFiles } = require("./grayscale_service");
+const { generateCoverPage } = require("./cover_page_service");
+const { coverPageFor, PASSPORT_PHOTO_SERVICE_ID } = require("./pricing_service");
+const { transitionOrder, recordTransition, currentState } = require("./order_lifecycle");
+const { countUploadedPages, checkPaidPages } = require("./page_count_service");
+const { needsConversion, convertOrderFile } = require("./conversion_service");
+const { normalizeImageLayout } = require("./image_layout");
+const { composeOrderImages } = require("./image_layout_service");
+const { normalizePassportPhoto } = require("./passport_photo");
+const { processPassportPhotos } = require("./passport_photo_service");
+
+/**
+ * Background order processing.
+ *
+ * Document conversion, page counting, image layout, watermarking, the cover page,
+ * grayscale renditions, the job PDF and previews used to run inside the /complete-order
+ * request. Large orders timed out on mobile networks and left the order half-processed.
+ * /complete-order now stores the uploads, queues the order and returns; this worker
+ * processes one order at a time and records its progress on the order document:
+ *
+ *   processingStatus     queued -> processing -> ready | needs_attention -> cancelled,
+ *                        or awaiting_top_up while the order is held for a page-count
+ *                        top-up (queued again once it is paid, see top_up_service.js)
+ *   processingAttempts   attempts so far (ORDER_PROCESSING_MAX_ATTEMPTS, default 5)
+ *   processingError      message of the last failed attempt
+ *   processingFiles      per-file state of the convert, select and watermark steps:
+ *                        { file, step, status, attempts, url, publicId, ..., error }
+ *
+ * A failed attempt is retried with exponential backoff, starting at
+ * ORDER_PROCESSING_RETRY_DELAY_MS (default 30s) and capped at 15 minutes. Files finished by
+ * an earlier attempt are not processed again, so one flaky file does not redo the others.
+ *
+ * When the attempts run out the order is left intact as `needs_attention` for an operator,
+ * who either retries it (retryOrderProcessing) or cancels it (cancelOrderProcessing),
+ * which refunds the payment and purges the files. Nothing is destroyed automatically.
+ *
+ * The queue lives in memory. Orders still queued or processing when the server stops are
+ * picked up again on startup (resumeOrderProcessing).
+ */
+
+const COLLECTION = "xerox_orders";
+const MAX_ATTEMPTS = Number(process.env.ORDER_PROCESSING_MAX_ATTEMPTS) || 5;
+const RETRY_DELAY_MS = Number(process.env.ORDER_PROCESSING_RETRY_DELAY_MS) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Statuses in which the worker owns the order; /complete-order leaves it alone.
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+// Lifecycle states in which an order is no longer processed (see order_lifecycle.js)
+const STOPPED_STATES = ['cancelled', 'refunded', 'expired'];
+
+const retryDelay = (attempt) => Math.min(RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+const queue = [];
+let draining = false;
+
+// ============================================================================
+// PROCESSING
+// ============================================================================
+/**
+ * Runs a per-file step. `jobs[i]` produces file i's processed version, or is null when the
+ * file is used as it is. Files a previous attempt finished (same `step`) are reused. Every
+ * file's outcome is saved to `processingFiles`, beside the other steps'; when any failed,
+ * the error is thrown after the others are saved, so the next attempt only redoes the
+ * failures.
+ *
+ * Returns the results aligned with `jobs` ({ url, publicId, ... } or null).
+ */
+async function runFileJobs(orderRef, previous, jobs, step) {
+  if (jobs.every(job => !job)) return jobs.map(() => null);
+  const states = await Promise.all(jobs.map(async (job, i) => {
+    if (!job) return null;
+    const prior = previous.find(p => p.file === i + 1 && p.step === step);
+    if (prior && prior.status === 'done') return prior;
+
+    const attempts = ((prior && prior.attempts) || 0) + 1;
+    try {
+      const result = await job();
+      return { colorRanges: null, ...result, file: i + 1, step, status: 'done', attempts };
+    } catch (err) {
+      console.error(`⚠️ File ${i + 1} failed (${step}, attempt ${attempts}): ${err.message}`);
+      return { file: i + 1, step, status: 'failed', attempts, error: err.message };
+    }
+  }));
+
+  const otherSteps = ((await orderRef.get()).data().processingFiles || []).filter(p => p.step !== step);
+  await orderRef.update({ processingFiles: [...otherSteps, ...states.filter(Boolean)] });
+  const failed = states.filter(s => s && s.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`File ${failed.map(f => f.file).join(', ')} failed: ${failed[0].error}`);
+  }
+  // Links saved by an earlier attempt may have expired
+  return states.map(s => s && { ...s, url: storage.signedUrl(s.url, { publicId: s.publicId }) });
+}
+
+/**
+ * Gets an order's uploads ready for processOrderFiles: unlocks them, converts office
+ * documents to PDF, checks the pages against the payment and lays out image and passport
+ * photo orders. Each step saves its result on the order, so a retried attempt carries on
+ * from the last one. Throws on any failure.
+ *
+ * Returns false when the uploads have more pages than were paid for: the order is then
+ * held as awaiting_top_up with the difference due (see top_up_service.js).
+ */
+async function prepareOrderFiles(orderId, orderRef) {
+  const data = (await orderRef.get()).data();
+  const orderCode = data.orderCode || data.pickupCode || orderId;
+  let files = [...(data.printSettings?.files || [])];
+  let fileUrls = data.fileUrls || [];
+  let publicIds = data.publicIds || [];
+
+  // 🔐 Unlock the uploads
+  if (publicIds.length > 0) {
+    try {
+      console.log(`🔓 Unlocking ${publicIds.length} files (Order ${orderId}) on ${storage.name} storage...`);
+      await storage.makePublic(publicIds, { alongside: fileUrls[0] || null });
+    } catch (err) {
+      console.error("❌ Critical Unlock Error:", err.message);
+    }
+  }
+
+  // 📄 Office / text documents to PDF; everything below works on PDFs and images.
+  const converted = await runFileJobs(orderRef, data.processingFiles || [],
+    fileUrls.map((url, i) => files[i] && !files[i].convertedFrom && needsConversion(files[i], url)
+      ? () => convertOrderFile({ orderCode, index: i, fileUrl: url, publicId: publicIds[i] || null, file: files[i] })
+      : null),
+    'convert'
+  );
+  if (converted.some(Boolean)) {
+    files = files.map((f, i) => converted[i]
+      ? { ...f, url: converted[i].url, publicId: converted[i].publicId, convertedFrom: converted[i].from, sourcePublicId: publicIds[i] || null }
+      : f);
+    publicIds = fileUrls.map((url, i) => converted[i] ? converted[i].publicId : publicIds[i] || null);
+    fileUrls = fileUrls.map((url, i) => converted[i] ? converted[i].url : url);
+    await orderRef.update({ fileUrls, publicIds, "printSettings.files": files });
+  }
+
+  // 🔢 Uploaded pages against the pages paid for. The check records the digests of the
+  // files it ran on. A settled (ok/shortfall/topped_up) check is only repeated for other
+  // files, which keeps a retried attempt from refunding twice and replaced files from
+  // printing unpriced; an overage is repeated until it is settled, so an order re-uploaded
+  // after one goes through. Settled checks moved printSettings.files to the counted pages,
+  // so a repeated check prices only what changed since.
+  const priorPageCheck = data.pageCountCheck;
+  const counted = fileUrls.length > 0 ? await countUploadedPages(fileUrls, publicIds) : null;
+  const settled = priorPageCheck && priorPageCheck.status !== 'overage' && counted &&
+    Array.isArray(priorPageCheck.digests) &&
+    priorPageCheck.digests.length === counted.digests.length &&
+    priorPageCheck.digests.every((digest, i) => digest === counted.digests[i]);
+  if (counted && !settled) {
+    const pageCheck = await checkPaidPages({ ...data, printSettings: { ...data.printSettings, files } }, counted.counts);
+    const pageCountCheck = {
+      status: pageCheck.status,
+      digests: counted.digests,
+      files: pageCheck.files,
+      paidAmount: pageCheck.paidAmount,
+      actualAmount: pageCheck.actualAmount,
+      difference: pageCheck.difference,
+      checkedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (pageCheck.status === 'overage') {
+      console.warn(`🚩 Order ${orderId} uploaded more pages than paid for (₹${pageCheck.difference} short). Holding for top-up.`);
+      await orderRef.update({
+        processingStatus: 'awaiting_top_up',
+        processingError: admin.firestore.FieldValue.delete(),
+        status: 'NEEDS_TOP_UP',
+        topUpAmount: pageCheck.difference,
+        // Paid through POST /orders/:orderId/top-up (top_up_service.js)
+        topUp: {
+          amount: pageCheck.difference,
+          status: 'due',
+          razorpayOrderId: null,
+          paymentId: null,
+          files: pageCheck.actualFiles,
+          lineItems: pageCheck.actualLineItems,
+        },
+        pageCountCheck,
+      });
+      return false;
+    }
+
+    // Re-uploaded files that fit the payment release an earlier hold. Page counts that
+    // changed are printed and priced from the real pages from here on.
+    await orderRef.update({
+      pageCountCheck,
+      ...(data.topUp && data.topUp.status !== 'paid'
+        ? { topUp: admin.firestore.FieldValue.delete(), topUpAmount: admin.firestore.FieldValue.delete() }
+        : {}),
+      ...(pageCheck.actualLineItems
+        ? { "printSettings.files": pageCheck.actualFiles, pricingLineItems: pageCheck.actualLineItems }
+        : {}),
+    });
+
+    if (pageCheck.status === 'shortfall') {
+      // The settled check is saved first, so a retried attempt cannot refund again.
+      // Capped at what is left of the payment (see refund_service.js).
+      try {
+        const refund = await refundOrder(orderRef, {
+          amount: -pageCheck.difference,
+          reason: "Fewer pages uploaded than paid for",
+          kind: 'page_shortfall',
+        });
+        await orderRef.update({
+          "pageCountCheck.refundAmount": refund.amount,
+          "pageCountCheck.refundId": refund.refundId,
+          "pageCountCheck.refundRecordId": refund.refundRecordId,
+        });
+      } catch (refErr) {
+        console.error(`⚠️ Partial refund failed for ${orderId}: ${refErr.message}`);
+        await orderRef.update({ "pageCountCheck.refundAmount": 0, "pageCountCheck.refundError": refErr.message });
+      }
+    }
+  }
+
+  // 🖼️ With an image layout (ID cards, photo sets) the images are composed onto A4 as one
+  // PDF; passport photo orders get each photo cropped and tiled onto sheets. Both results
+  // are print-ready, so watermarking leaves them as they are, and neither is redone once
+  // saved.
+  const layoutData = (await orderRef.get()).data();
+  const imageLayout = normalizeImageLayout(layoutData.printSettings?.imageLayout);
+  const isPassportOrder = (layoutData.serviceName || '').toLowerCase().includes('passport') ||
+                          (layoutData.serviceId || '') === PASSPORT_PHOTO_SERVICE_ID;
+  if (imageLayout || isPassportOrder) {
+    let staged = { files: layoutData.printSettings?.files || [], fileUrls, publicIds };
+    if (imageLayout) {
+      staged = await composeOrderImages({ orderCode, ...staged, layout: imageLayout }) || staged;
+    }
+    if (isPassportOrder) {
+      const spec = normalizePassportPhoto(layoutData.printSettings?.passportPhoto);
+      staged = await processPassportPhotos({ orderCode, ...staged, spec });
+    }
+    await orderRef.update({
+      fileUrls: staged.fileUrls.map((url) => storage.signedUrl(url)),
+      publicIds: staged.publicIds,
+      "printSettings.files": staged.files,
+    });
+  }
+  return true;
+}
+
+/**
+ * Produces the shop's print files for an order whose uploads are prepared
+ * (prepareOrderFiles), writes them to the order and mirrors it to the shop. Throws on any
+ * failure; the caller decides whether to retry.
+ */
+async function processOrderFiles(orderId, orderRef, printMode) {
+  const freshData = (await orderRef.get()).data();
+  const orderCode = freshData.orderCode || freshData.pickupCode;
+
+  const previousFiles = freshData.processingFiles || [];
+  const fileUrls = freshData.fileUrls || [];
+  const incomingPublicIds = freshData.publicIds || [];
+  const files = freshData.printSettings?.files || [];
+  const totalPrintablePages = files.reduce((sum, f) => sum + printedPageCount(f) * (Number(f.copies) || 1), 0);
+  
+  const isPassportPhotoService = (freshData.serviceName || '').toLowerCase().includes('passport') ||
+                                 (freshData.serviceId || '').includes('yPiaqNqbvhABcunanu5X');
+  // The cover page was decided and charged at checkout; orders priced before that was
+  // recorded fall back to the pricing rules.
+  const coverPage = typeof freshData.generateCoverPage === 'boolean' && freshData.pricingRulesVersion >= 2
+    ? { generateCoverPage: freshData.generateCoverPage, coverPageCharge: Number(freshData.coverPageCharge) || 0.0 }
+    : coverPageFor(totalPrintablePages, { requested: freshData.printSettings?.generateCoverPage, serviceId: freshData.serviceId });
+  const generateCoverPageEnabled = !isPassportPhotoService && coverPage.generateCoverPage;
+  
+  let finalFileUrls = [];
+  let finalPublicIds = [];
+  let coverPageUrl = null;
+  let coverPagePublicId = null;
+  let printSequence = [];
+  let printRanges = [];
+  // Uploads superseded by a watermarked copy; deleted once the whole job has succeeded
+  let replacedOriginals = [];
+
+  if (generateCoverPageEnabled) {
+    console.log(`📄 Generating Cover Page for Order ${orderId} (Total pages: ${totalPrintablePages} > 5)...`);
+    
+    const formattedFiles = files.map((f, i) => ({
+      fileName: f.fileName || `File ${i+1}`,
+      copies: Number(f.copies) || 1,
+      pageCount: printedPageCount(f),
+      // Server-priced line items where the order has them; older orders carry the app's price.
+      price: Number(freshData.pricingLineItems?.[i]?.printCost ?? f.price) || 0.0,
+    }));
+
+    const coverPageBuffer = await generateCoverPage({
+      orderCode,
+      customId: freshData.customId || null,
+      customerName: freshData.customerName || freshData.userEmail || freshData.userId || 'Guest User',
+      files: formattedFiles,
+      coverPageCharge: coverPage.coverPageCharge,
+      binding: freshData.binding || null,
+      platformFee: typeof freshData.platformCommission === 'number'
+        ? freshData.platformCommission
+        : (typeof freshData.printSettings?.commissionAmount === 'number' ? freshData.printSettings.commissionAmount : 2.0)
+    });
+
+    const folderName = 'xerox_processed_orders';
+    const coverFileName = `${orderCode}_cover`;
+    
+    console.log(`📤 Uploading cover page...`);
+    const firstUrl = fileUrls && fileUrls.length > 0 ? fileUrls[0] : null;
+
+    const uploadResult = await storage.put(coverPageBuffer, {
+        folder: folderName,
+        publicId: coverFileName,
+        format: 'pdf',
+        alongside: firstUrl,
+    });
+
+    coverPageUrl = uploadResult.url;
+    coverPagePublicId = uploadResult.publicId;
+    
+    const coverPageSignedUrl = storage.signedUrl(coverPageUrl, { publicId: coverPagePublicId });
+
+    // Files printing a page selection or an N-up/booklet layout still need a print-ready
+    // PDF; the cover page replaces the order-code marking, so none is added.
+    const selectedResults = await runFileJobs(orderRef, previousFiles,
+      fileUrls.map((url, index) => normalizePageRanges(files[index] || {}) || isImposed(normalizeLayout(files[index] || {}))
+        ? () => applyWatermark(url, orderId, orderCode, index + 1, incomingPublicIds[index], printMode, { file: files[index], paperSize: freshData.printSettings?.paperSize, selectOnly: true, keepOriginal: true })
+        : null),
+      'select'
+    );
+    printRanges = selectedResults.map((r, i) => ({ file: i + 1, colorPages: r?.colorRanges || null }))
+      .filter(r => r.colorPages);
+    
+    finalFileUrls = [coverPageSignedUrl, ...fileUrls.map((url, i) => selectedResults[i]?.url || url)];
+    finalPublicIds = [coverPagePublicId, ...incomingPublicIds.map((pid, i) => selectedResults[i]?.publicId || pid)];
+    replacedOriginals = incomingPublicIds.filter((pid, i) => selectedResults[i]?.publicId && selectedResults[i].publicId !== pid);
+    printSequence = ["coverPage", ...files.map((f, i) => `file${i+1}`)];
+  } else {
+    console.log(`💧 Processing Watermarks for Order ${orderId} (Total pages: ${totalPrintablePages} <= 5)...`);
+    
+    // 🔄 Sequential Watermarking (Uses mode-aware logic)
+    const watermarked = await runFileJobs(orderRef, previousFiles,
+      fileUrls.map((url, index) => files[index]?.printReady
+        // Composed image sheets and passport photo sheets are already marked and laid out at real size
+        ? null
+        : () => applyWatermark(url, orderId, orderCode, index + 1, incomingPublicIds[index], printMode, { file: files[index], paperSize: freshData.printSettings?.paperSize, keepOriginal: true })
+      ),
+      'watermark'
+    );
+    const watermarkedResults = watermarked.map((r, index) => r || { url: fileUrls[index], publicId: incomingPublicIds[index], colorRanges: null });
+    printRanges = watermarkedResults.map((r, i) => ({ file: i + 1, colorPages: r.colorRanges || null }))
+      .filter(r => r.colorPages);
+
+    finalFileUrls = watermarkedResults.map((r, i) => r.url || fileUrls[i]);
+    // Must read incomingPublicIds (from the order document), not the request body's
+    // publicIds, which a request may omit.
+    finalPublicIds = watermarkedResults.map((r, i) => r.publicId || incomingPublicIds[i]);
+    replacedOriginals = incomingPublicIds.filter((pid, i) => watermarkedResults[i].publicId && watermarkedResults[i].publicId !== pid);
+    printSequence = files.map((f, i) => `file${i+1}`);
+  }
+
+  // ⚫ True grayscale for B/W pages, so a B/W-priced page never prints in colour on a
+  // shop printer that defaults to colour. A failure fails the job (and is retried).
+  const fileOffset = coverPageUrl ? 1 : 0;
+  const gray = await grayscaleOrderFiles({
+    orderCode,
+    fileUrls: finalFileUrls.slice(fileOffset),
+    publicIds: finalPublicIds.slice(fileOffset),
+    files,
+    printRanges,
+  });
+  if (gray.converted.length > 0) {
+    console.log(`⚫ Converted ${gray.converted.length} B/W file(s) to grayscale for ${orderId}.`);
+    finalFileUrls = [...finalFileUrls.slice(0, fileOffset), ...gray.fileUrls];
+    finalPublicIds = [...finalPublicIds.slice(0, fileOffset), ...gray.publicIds];
+  }
+
+  // 🧾 One merged print job for the shop. The individual files stay the source of truth,
+  // so a failure here only costs the convenience of the merged PDF.
+  let job = null;
+  try {
+    job = await createJobPdf({
+      orderCode,
+      fileUrls: finalFileUrls,
+      publicIds: finalPublicIds,
+      files,
+      hasCoverPage: !!coverPageUrl,
+    });
+    console.log(`🧾 Job PDF for ${orderId}: ${job.pageCount} pages${job.duplex ? ' (duplex)' : ''}.`);
+  } catch (jobErr) {
+    console.error(`⚠️ Job PDF failed for ${orderId}: ${jobErr.message}`);
+  }
+
+  // 🖼️ Page thumbnails for the shop dashboard; like the job PDF, a nice-to-have.
+  const previews = await createPreviews({
+    orderCode,
+    fileUrls: finalFileUrls,
+    publicIds: finalPublicIds,
+    labels: printSequence,
+  }).catch((previewErr) => {
+    console.error(`⚠️ Previews failed for ${orderId}: ${previewErr.message}`);
+    return { previewUrls: [], publicIds: [] };
+  });
+
+  // Update project databases with the FINAL watermarked/prepend links and cover page metadata
+  const updateData = {
+    fileUrls: finalFileUrls,
+    publicIds: finalPublicIds,
+    mirroredToAdmin: true,
+    status: 'ACTIVE',
+    generateCoverPage: generateCoverPageEnabled,
+    coverPageCharge: generateCoverPageEnabled ? coverPage.coverPageCharge : 0.0,
+    coverPageUrl: coverPageUrl,
+    coverPagePublicId: coverPagePublicId,
+    printSequence: printSequence,
+    // Output pages to print in colour, for files with per-range colour (see page_ranges.js)
+    printRanges: printRanges,
+    generatedCoverPage: generateCoverPageEnabled,
+    jobUrl: job ? job.url : null,
+    jobPublicId: job ? job.publicId : null,
+    jobPageCount: job ? job.pageCount : null,
+    jobDuplex: job ? job.duplex : null,
+    previewUrls: previews.previewUrls,
+    previewPublicIds: previews.publicIds,
+    processingStatus: 'ready',
+    processingError: admin.firestore.FieldValue.delete(),
+    processedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // Written together with the lifecycle move, so an order cancelled while it was being
+  // processed is caught here and never reaches the shop.
+  try {
+    const move = await transitionOrder(orderRef, 'queued', { reason: 'Print files ready for the shop', updates: updateData });
+    // Already queued by an earlier attempt that failed after this point
+    if (!move.changed) await orderRef.update(updateData);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    if (STOPPED_STATES.includes(err.from)) {
+      console.warn(`🛑 Order ${orderId} was ${err.from} during processing; not sending it to the shop.`);
+      const produced = [...finalPublicIds, job && job.publicId, ...previews.publicIds, ...replacedOriginals];
+      await storage.delete(produced.filter(Boolean), { alongside: fileUrls[0] }).catch(() => null);
+      await orderRef.update({ processingStatus: 'cancelled' });
+      return;
+    }
+    // Orders paid before the lifecycle existed may still read as `paid`; they go through.
+    if (!['paid', 'processing'].includes(err.from)) {
+      // Already with the shop from an earlier run. The files it has are named like the ones
+      // just produced (see print_job_service.js), so nothing is deleted or mirrored again.
+      console.warn(`🛑 Order ${orderId} is already ${err.from}; not sending it to the shop again.`);
+      await orderRef.update({ processingStatus: 'ready', processingError: admin.firestore.FieldValue.delete() });
+      return;
+    }
+    console.warn(`⚠️ Lifecycle: order ${orderId} not moved to 'queued': ${err.message}`);
+    await orderRef.update(updateData);
+  }
+
+  // syncOrderToAdmin resolves the shop itself (reviewer orders fall back to the review shop)
+  console.log(`📡 Mirroring finalized Order ${orderId} to Shop Dashboard...`);
+  const watermarkedResults = finalFileUrls.map((url, idx) => ({
+      url: url,
+      publicId: finalPublicIds[idx]
+  }));
+  await syncOrderToAdmin(orderId, watermarkedResults);
+
+  const unusedOriginals = replacedOriginals.filter(Boolean);
+  if (unusedOriginals.length > 0) {
+    await storage.delete(unusedOriginals, { alongside: fileUrls[0] }).catch((delErr) => {
+      console.log(`⚠️ Original cleanup skipped for ${orderId}: ${delErr.message}`);
+    });
+  }
+}
+
+// ============================================================================
+// CANCELLATION (operator decision)
+// ============================================================================
+/**
+ * Refunds the payment and purges the files of an order an operator gave up on, what
+ * /complete-order used to do on the first failure. The customer record is kept, marked
+ * cancelled, so the app can tell the customer; the shop's mirror is removed.
+ */
+async function cancelOrder(orderId, orderRef, reason, actor) {
+  console.log(`🛑 Cancelling Order ${orderId} (REFUND & PURGE): ${reason}`);
+  const data = (await orderRef.get()).data();
+
+  await orderRef.update({
+    processingStatus: 'cancelled',
+    status: 'CANCELLED',
+    cancellationReason: reason,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await recordTransition(orderRef, 'cancelled', { actor, reason });
+
+  // 💸 1. REFUND WHAT IS LEFT OF THE PAYMENT (bypass payments are skipped)
+  let refundId = null;
+  try {
+    const refund = await refundOrder(orderRef, {
+      reason: `Processing Error - ${reason}`,
+      kind: 'processing_failure',
+      actor,
+    });
+    if (refund.refundId) {
+      refundId = refund.refundId;
+      await recordTransition(orderRef, 'refunded', { actor, reason: `Refund ${refund.refundId}` });
+    }
+  } catch (refErr) {
+    console.error(`⚠️ Refund failed for ${orderId}: ${refErr.message}`);
+    await orderRef.update({ refundError: refErr.message }).catch(() => null);
+  }
+
+  // 🗑️ 2. DELETE FILES FROM STORAGE
+  try {
+    console.log(`🔥 Purging files for cancelled order ${orderId}...`);
+    await deleteOrderFilesFromCloudinary(orderId, data, COLLECTION);
+  } catch (cloudErr) {
+    console.error(`⚠️ File Purge Failed for ${orderId}: ${cloudErr.message}`);
+  }
+
+  // 🔥 3. REMOVE THE SHOP MIRROR
+  if (data.shopId) {
+    await dbAdmin.collection("shops").doc(data.shopId).collection("orders").doc(orderId).delete().catch(() => null);
+  }
+  return { refundId };
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+async function runJob(orderId) {
+  const { doc: orderDoc, db: targetDb } = await findCustomerOrder(orderId);
+  if (!orderDoc || !orderDoc.exists) {
+    console.warn(`⚠️ Queued order ${orderId} no longer exists; skipping.`);
+    return;
+  }
+  const data = orderDoc.data();
+  if (!ACTIVE_STATUSES.includes(data.processingStatus)) return;
+  if (STOPPED_STATES.includes(currentState(data))) {
+    console.warn(`🛑 Queued order ${orderId} is ${currentState(data)}; not processing it.`);
+    await targetDb.collection(COLLECTION).doc(orderId).update({ processingStatus: 'cancelled' });
+    return;
+  }
+
+  const orderRef = targetDb.collection(COLLECTION).doc(orderId);
+  const attempt = (Number(data.processingAttempts) || 0) + 1;
+  await orderRef.update({
+    processingStatus: 'processing',
+    processingAttempts: attempt,
+    processingStartedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  try {
+    console.log(`⚙️ Processing Order ${orderId} (attempt ${attempt}/${MAX_ATTEMPTS})...`);
+    if (!(await prepareOrderFiles(orderId, orderRef))) return;
+    await processOrderFiles(orderId, orderRef, data.processingPrintMode || 'xeroxShop');
+    console.log(`✅ Order ${orderId} processed and ready for the shop.`);
+  } catch (err) {
+    if (attempt >= MAX_ATTEMPTS) {
+      console.error(`🚩 Order ${orderId} needs attention after ${attempt} attempts: ${err.message}`);
+      await orderRef.update({
+        processingStatus: 'needs_attention',
+        processingError: err.message,
+        status: 'NEEDS_ATTENTION',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return;
+    }
+    const delay = retryDelay(attempt);
+    console.error(`⚠️ Processing attempt ${attempt} failed for ${orderId}: ${err.message}. Retrying in ${Math.round(delay / 1000)}s.`);
+    await orderRef.update({ processingStatus: 'queued', processingError: err.message });
+    setTimeout(() => schedule(orderId), delay);
+  }
+}
+
+function schedule(orderId) {
+  if (!queue.includes(orderId)) queue.push(orderId);
+  drain();
+}
+
+// One order at a time: processing holds whole files in memory.
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length > 0) {
+      const orderId = queue.shift();
+      try {
+        await runJob(orderId);
+      } catch (err) {
+        // Firestore unreachable; the order stays queued and is resumed on the next startup.
+        console.error(`❌ Queue error for ${orderId}: ${err.message}`);
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Marks an order queued (attempts and per-file state reset) and schedules it, moving it to
+ * `processing`. `updates` (the order's files) are written with it. Returns false when it is
+ * already queued or being processed, in which case nothing changes. Throws a 409 for an
+ * order that cannot be processed (not paid, or already past `processing`).
+ */
+async function enqueueOrderProcessing(orderRef, { printMode = 'xeroxShop', updates = {} } = {}) {
+  const data = (await orderRef.get()).data() || {};
+  if (ACTIVE_STATUSES.includes(data.processingStatus)) return false;
+
+  const queueData = {
+    ...updates,
+    processingStatus: 'queued',
+    processingAttempts: 0,
+    processingPrintMode: printMode,
+    processingFiles: [],
+    processingError: admin.firestore.FieldValue.delete(),
+    processingQueuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const move = await transitionOrder(orderRef, 'processing', { reason: 'Files received', updates: queueData });
+  // Held for a top-up, the order is still in `processing`
+  if (!move.changed) await orderRef.update(queueData);
+  schedule(orderRef.id);
+  return true;
+}
+
+/**
+ * Operator retry of an order that needs attention. Attempts start over; files that
+ * already succeeded are kept. The retry is recorded in the order's history. Throws a 409
+ * for an order in any other state.
+ */
+async function retryOrderProcessing(orderRef, { reason = 'Retried by operator', actor = { type: 'admin', id: null } } = {}) {
+  const data = (await orderRef.get()).data() || {};
+  if (data.processingStatus !== 'needs_attention') {
+    throw conflict(`Only orders that need attention can be retried (status: ${data.processingStatus || 'none'})`);
+  }
+  await orderRef.update({
+    processingStatus: 'queued',
+    processingAttempts: 0,
+    status: 'ACTIVE',
+    processingQueuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  // The order never left `processing`; the entry records who sent it back to the worker.
+  await recordTransition(orderRef, 'processing', { actor, reason, repeat: true });
+  schedule(orderRef.id);
+}
+
+/**
+ * Operator cancellation of an order that needs attention: refund and purge (see
+ * cancelOrder). Throws a 409 for an order in any other state. Returns { refundId }.
+ */
+async function cancelOrderProcessing(orderRef, { reason = 'Cancelled by operator', actor = { type: 'admin', id: null } } = {}) {
+  const data = (await orderRef.get()).data() || {};
+  if (data.processingStatus !== 'needs_attention') {
+    throw conflict(`Only orders that need attention can be cancelled here (status: ${data.processingStatus || 'none'})`);
+  }
+  return cancelOrder(orderRef.id, orderRef, reason, actor);
+}
+
+/**
+ * Re-queues orders left queued or processing by a previous run of the server. An
+ * interrupted attempt counts towards the order's attempts.
+ */
+async function resumeOrderProcessing() {
+  for (const targetDb of [dbCustomer, dbCustomer2, dbCustomer3].filter(Boolean)) {
+    try {
+      const snap = await targetDb.collection(COLLECTION)
+        .where("processingStatus", "in", ACTIVE_STATUSES)
+        .get();
+      snap.docs.forEach((doc) => schedule(doc.id));
+      if (!snap.empty) console.log(`🔁 Resuming processing for ${snap.size} order(s).`);
+    } catch (err) {
+      console.error(`⚠️ Could not resume order processing: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  enqueueOrderProcessing,
+  retryOrderProcessing,
+  cancelOrderProcessing,
+  resumeOrderProcessing,
+  processOrderFiles,
+};
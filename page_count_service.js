@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { loadPricingContext, priceFiles, pricingOptions } = require('./pricing_service');
+const { normalizePageRanges, printedPageCount } = require('./page_ranges');
+
+/**
+ * Server-side page counting.
+ *
+ * The app reports `pageCount` for every file and the order is priced from it, so a file
+ * paid for as 2 pages could print 200. The processing worker (order_processing.js) counts
+ * the pages of what was actually uploaded and compares them with what was paid for (see
+ * checkPaidPages).
+ */
+
+/**
+ * Counts the pages of a downloaded file. Images are a single page unless they are
+ * multi-page (TIFF, animated GIF); PDFs are loaded even when owner-password protected,
+ * since only the page tree is needed.
+ */
+async function countPages(buffer, { isPdf }) {
+    if (isPdf) {
+        const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true });
+        return pdfDoc.getPageCount();
+    }
+    const metadata = await sharp(buffer).metadata();
+    return metadata.pages || 1;
+}
+
+/**
+ * Counts the pages of an order's files. Returns { counts, digests }: the page count and a
+ * SHA-256 of the content of each file, so a check can tell later whether the files it ran
+ * on were replaced.
+ */
+async function countUploadedPages(fileUrls, publicIds = []) {
+    const results = await Promise.all(fileUrls.map(async (url, i) => {
+        const asset = await storage.get(url, publicIds[i] || null);
+        return {
+            count: await countPages(asset.buffer, { isPdf: asset.isPdf }),
+            digest: crypto.createHash('sha256').update(asset.buffer).digest('hex'),
+        };
+    }));
+    return { counts: results.map(r => r.count), digests: results.map(r => r.digest) };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Compares the counted pages with the pages the order was paid for.
+ *
+ * Both page counts are priced against the same context — the shop prices the order was
+ * charged at (`shopPricingUsed`) and the service's current parameters — with no cover page
+ * or binding, so `difference` is purely what the page count changed. Pages are compared
+ * as printed, so a file with page ranges only counts its selection, and is only short
+ * when a range runs past the real document.
+ *
+ * The status follows the money, not single files: one file over and another under, or bulk
+ * pricing, can leave the real pages costing no more than was paid. `overage` means the
+ * real pages cost more (`difference` > 0, the top-up due), `shortfall` less (a refund),
+ * `ok` the same. Whenever a page count changed, `actualFiles` and `actualLineItems` are
+ * what the order should print and be priced from; otherwise `actualLineItems` is null.
+ *
+ * Returns { status: 'ok' | 'overage' | 'shortfall', files, paidAmount, actualAmount,
+ * difference, actualFiles, actualLineItems }.
+ */
+async function checkPaidPages(orderData, actualCounts) {
+    const printSettings = orderData.printSettings || {};
+    const paidFiles = printSettings.files || [];
+
+    // A selection that runs past the real document is cut back to the pages that exist.
+    const actualFiles = paidFiles.map((f, i) => {
+        const actualPages = actualCounts[i] != null ? actualCounts[i] : (Number(f.pageCount) || 1);
+        const ranges = normalizePageRanges({ ...f, pageCount: null });
+        if (!ranges) return { ...f, pageCount: actualPages };
+        const clipped = ranges
+            .filter(r => r.from <= actualPages)
+            .map(r => ({ ...r, to: Math.min(r.to, actualPages) }));
+        return { ...f, pageCount: actualPages, pageRanges: clipped.length > 0 ? clipped : null };
+    });
+
+    const files = paidFiles.map((f, index) => ({
+        index,
+        fileName: f.fileName || `File ${index + 1}`,
+        paidPages: printedPageCount(f),
+        actualPages: printedPageCount(actualFiles[index]),
+        documentPages: actualFiles[index].pageCount,
+    }));
+    if (files.every(f => f.actualPages === f.paidPages)) {
+        return { status: 'ok', files, paidAmount: 0, actualAmount: 0, difference: 0, actualFiles, actualLineItems: null };
+    }
+
+    const options = { ...pricingOptions(printSettings), generateCoverPage: false, binding: null };
+    let context = { shopConfig: null, globalParams: null };
+    try {
+        context = await loadPricingContext({
+            shopId: printSettings.shopId,
+            serviceId: options.serviceId,
+            paperSize: options.paperSize,
+        });
+    } catch (e) {
+        console.error("Error loading pricing for page count check:", e.message);
+    }
+    context = { ...context, shopConfig: orderData.shopPricingUsed || context.shopConfig };
+
+    const paid = priceFiles(paidFiles, context, options);
+    const actual = priceFiles(actualFiles, context, options);
+    const difference = round2(actual.totalAmount - paid.totalAmount);
+    return {
+        status: difference > 0 ? 'overage' : (difference < 0 ? 'shortfall' : 'ok'),
+        files,
+        paidAmount: paid.totalAmount,
+        actualAmount: actual.totalAmount,
+        difference,
+        actualFiles,
+        actualLineItems: actual.lineItems,
+    };
+}
+
+module.exports = { countPages, countUploadedPages, checkPaidPages };
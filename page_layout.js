@@ -0,0 +1,111 @@
+/**
+ * N-up and booklet imposition for print files.
+ *
+ * `printSettings.files[].pagesPerSheet` (1, 2, 4, 6 or 9) prints that many logical pages
+ * on each side of a sheet; `files[].booklet` imposes the file as a saddle-stitched
+ * booklet (two pages per side, always double-sided, folded and stapled in the middle).
+ *
+ * Pricing and applyWatermark both go through faceSegments so the customer is charged for
+ * exactly the sheet sides that come out of the printer. N-up is imposed per page range,
+ * so a B/W range and a colour range never share a sheet side.
+ */
+
+const { printSegments } = require("./page_ranges");
+
+const PAGES_PER_SHEET = [1, 2, 4, 6, 9];
+
+function layoutError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// { pagesPerSheet, booklet } for a file, defaulting to one page per side.
+function normalizeLayout(file) {
+  const booklet = !!(file && file.booklet);
+  const pagesPerSheet = Number((file && file.pagesPerSheet) || 1);
+  if (!PAGES_PER_SHEET.includes(pagesPerSheet)) {
+    throw layoutError(`pagesPerSheet must be one of ${PAGES_PER_SHEET.join(", ")}`);
+  }
+  if (booklet && pagesPerSheet !== 1) {
+    throw layoutError("A booklet cannot also be printed N-up");
+  }
+  return { pagesPerSheet, booklet };
+}
+
+function isImposed(layout) {
+  return layout.booklet || layout.pagesPerSheet > 1;
+}
+
+/**
+ * Cell grid for N-up. 2 and 6 pages sit side by side on a landscape sheet, 4 and 9 on a
+ * portrait one, so every cell keeps a portrait page shape.
+ */
+function gridFor(pagesPerSheet) {
+  switch (pagesPerSheet) {
+    case 2: return { cols: 2, rows: 1, landscapeSheet: true };
+    case 4: return { cols: 2, rows: 2, landscapeSheet: false };
+    case 6: return { cols: 3, rows: 2, landscapeSheet: true };
+    case 9: return { cols: 3, rows: 3, landscapeSheet: false };
+    default: return { cols: 1, rows: 1, landscapeSheet: false };
+  }
+}
+
+// Booklets are padded with blank pages to a multiple of 4 (one folded sheet).
+function bookletPageCount(pages) {
+  return Math.ceil(pages / 4) * 4;
+}
+
+// Printed sheet sides for `pages` logical pages.
+function facesFor(pages, layout) {
+  if (layout.booklet) return bookletPageCount(pages) / 2;
+  return Math.ceil(pages / layout.pagesPerSheet);
+}
+
+/**
+ * Booklet imposition: the sides to print, in order, as [left, right] 0-based positions
+ * into the file's page sequence, or null for a blank padding page. Printed duplex
+ * (flip on short edge), folded and stapled, the sheets read in order.
+ */
+function bookletSides(pages) {
+  const total = bookletPageCount(pages);
+  const at = (i) => (i < pages ? i : null);
+  const sides = [];
+  for (let sheet = 0; sheet < total / 4; sheet++) {
+    sides.push([at(total - 1 - 2 * sheet), at(2 * sheet)]);
+    sides.push([at(2 * sheet + 1), at(total - 2 - 2 * sheet)]);
+  }
+  return sides;
+}
+
+/**
+ * The printed sides of a file as [{ color, faces }] runs, in output order. N-up keeps one
+ * run per page range; a booklet side prints in colour when either of its pages does.
+ */
+function faceSegments(file) {
+  const layout = normalizeLayout(file);
+  const segments = printSegments(file);
+  if (!layout.booklet) {
+    return segments.map((s) => ({ ...s, faces: facesFor(s.pages, layout) }));
+  }
+
+  const colors = segments.flatMap((s) => Array(s.pages).fill(s.color));
+  const runs = [];
+  for (const side of bookletSides(colors.length)) {
+    const color = side.some((i) => i !== null && colors[i] === "COLOR") ? "COLOR" : "BW";
+    const last = runs[runs.length - 1];
+    if (last && last.color === color) last.faces += 1;
+    else runs.push({ color, faces: 1 });
+  }
+  return runs;
+}
+
+module.exports = {
+  PAGES_PER_SHEET,
+  normalizeLayout,
+  isImposed,
+  gridFor,
+  facesFor,
+  bookletSides,
+  faceSegments,
+};
@@ -0,0 +1,97 @@
+/**
+ * Page-range selection for print files.
+ *
+ * `printSettings.files[].pageRanges` picks which pages of a document are printed, in which
+ * order, and at which colour mode. Either form is accepted:
+ *
+ *   "3-17, 20"                                    — every range at the file's `color`
+ *   [{ from: 1, to: 2, color: "COLOR" }, { from: 3, to: 17, color: "BW" }]
+ *
+ * Pages are 1-based and inclusive and must fall within the file's `pageCount` (the page
+ * count of the whole document). A file without `pageRanges` prints every page at `color`.
+ * Pricing, the quote digest and applyWatermark all read ranges through this module so
+ * they agree on exactly which pages are printed.
+ */
+
+function rangeError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function colorMode(color) {
+  return color === "COLOR" ? "COLOR" : "BW";
+}
+
+function parseRangeString(str, defaultColor) {
+  return String(str).split(",").map((part) => part.trim()).filter(Boolean).map((part) => {
+    const match = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) throw rangeError(`Invalid page range "${part}"`);
+    const from = Number(match[1]);
+    return { from, to: match[2] ? Number(match[2]) : from, color: defaultColor };
+  });
+}
+
+/**
+ * Returns the file's ranges as [{ from, to, color }], or null when the whole document
+ * prints. Throws a 400 for malformed ranges or pages outside the document.
+ */
+function normalizePageRanges(file) {
+  const raw = file && file.pageRanges;
+  if (raw == null || raw === "" || (Array.isArray(raw) && raw.length === 0)) return null;
+
+  const defaultColor = colorMode(file.color);
+  const ranges = Array.isArray(raw)
+    ? raw.flatMap((r) => (typeof r === "string"
+      ? parseRangeString(r, defaultColor)
+      : [{ from: Number(r.from), to: Number(r.to ?? r.from), color: r.color ? colorMode(r.color) : defaultColor }]))
+    : parseRangeString(raw, defaultColor);
+
+  if (ranges.length === 0) return null;
+  const pageCount = Number(file.pageCount) || null;
+  for (const r of ranges) {
+    if (!Number.isInteger(r.from) || !Number.isInteger(r.to) || r.from < 1 || r.to < r.from) {
+      throw rangeError(`Invalid page range ${r.from}-${r.to}`);
+    }
+    if (pageCount && r.to > pageCount) {
+      throw rangeError(`Page range ${r.from}-${r.to} is outside the document (${pageCount} pages)`);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * The file as a list of print segments: one per range, or a single segment covering the
+ * whole document. Each segment is priced as its own line.
+ */
+function printSegments(file) {
+  const ranges = normalizePageRanges(file);
+  if (!ranges) {
+    const pages = Number(file.pageCount) || 1;
+    return [{ from: 1, to: pages, pages, color: colorMode(file.color) }];
+  }
+  return ranges.map((r) => ({ ...r, pages: r.to - r.from + 1 }));
+}
+
+// Pages printed per copy.
+function printedPageCount(file) {
+  return printSegments(file).reduce((sum, s) => sum + s.pages, 0);
+}
+
+// 0-based page indices to print, in print order, or null for the whole document.
+function selectedPageIndices(file) {
+  const ranges = normalizePageRanges(file);
+  if (!ranges) return null;
+  const indices = [];
+  for (const r of ranges) {
+    for (let p = r.from; p <= r.to; p++) indices.push(p - 1);
+  }
+  return indices;
+}
+
+module.exports = {
+  normalizePageRanges,
+  printSegments,
+  printedPageCount,
+  selectedPageIndices,
+};
@@ -0,0 +1,108 @@
+/**
+ * Passport photo sheets.
+ *
+ * Passport photo orders used to skip processing entirely, so the shop received the raw
+ * selfie and cropped and tiled it by hand. Each uploaded photo is now cropped to a standard
+ * size and tiled `count` times onto 4×6 in or A4 sheets (see passport_photo_service.js).
+ *
+ * `printSettings.passportPhoto` = { size, sheet, count, paddingMm, borderMm }, all optional:
+ * a 35×45 mm photo, as many as fit on one 4×6 sheet, no padding or border.
+ */
+
+const { isImageFile } = require("./image_layout");
+
+// Photo sizes in mm (width × height).
+const PASSPORT_PHOTO_SIZES = {
+  "35x45mm": { widthMm: 35, heightMm: 45 }, // India, UK, EU, Australia
+  "2x2in": { widthMm: 50.8, heightMm: 50.8 }, // US passport and visa
+  "33x48mm": { widthMm: 33, heightMm: 48 }, // China visa
+  "35x35mm": { widthMm: 35, heightMm: 35 },
+  "40x50mm": { widthMm: 40, heightMm: 50 },
+  "50x70mm": { widthMm: 50, heightMm: 70 }, // Canada
+};
+
+// Sheet sizes in mm, portrait.
+const PASSPORT_SHEETS = {
+  "4x6": { widthMm: 101.6, heightMm: 152.4 },
+  a4: { widthMm: 210, heightMm: 297 },
+};
+
+// Space between photos and around the edge of the sheet, for cutting.
+const CUT_GAP_MM = 2;
+const SHEET_MARGIN_MM = 3;
+const MAX_PHOTO_COUNT = 100;
+
+function passportPhotoError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validates printSettings.passportPhoto and works out the grid. Returns { size, sheet,
+ * paddingMm, borderMm, count, columns, rows, perSheet, sheets }, where a tile is the photo
+ * plus its padding and border.
+ */
+function normalizePassportPhoto(spec) {
+  const options = spec || {};
+  const size = options.size || "35x45mm";
+  const sheet = String(options.sheet || "4x6").toLowerCase();
+  if (!PASSPORT_PHOTO_SIZES[size]) {
+    throw passportPhotoError(`passportPhoto.size must be one of ${Object.keys(PASSPORT_PHOTO_SIZES).join(", ")}`);
+  }
+  if (!PASSPORT_SHEETS[sheet]) {
+    throw passportPhotoError(`passportPhoto.sheet must be one of ${Object.keys(PASSPORT_SHEETS).join(", ")}`);
+  }
+  const paddingMm = Number(options.paddingMm) || 0;
+  const borderMm = options.borderMm === true ? 0.3 : Number(options.borderMm) || 0;
+  if (paddingMm < 0 || paddingMm > 10 || borderMm < 0 || borderMm > 2) {
+    throw passportPhotoError("passportPhoto.paddingMm must be 0-10 and borderMm 0-2");
+  }
+
+  const photo = PASSPORT_PHOTO_SIZES[size];
+  const paper = PASSPORT_SHEETS[sheet];
+  const tileW = photo.widthMm + 2 * (paddingMm + borderMm);
+  const tileH = photo.heightMm + 2 * (paddingMm + borderMm);
+  const columns = Math.floor((paper.widthMm - 2 * SHEET_MARGIN_MM + CUT_GAP_MM) / (tileW + CUT_GAP_MM));
+  const rows = Math.floor((paper.heightMm - 2 * SHEET_MARGIN_MM + CUT_GAP_MM) / (tileH + CUT_GAP_MM));
+  if (columns < 1 || rows < 1) {
+    throw passportPhotoError(`A ${size} photo with this padding does not fit on a ${sheet} sheet`);
+  }
+  const perSheet = columns * rows;
+
+  const count = options.count == null ? perSheet : Number(options.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PHOTO_COUNT) {
+    throw passportPhotoError(`passportPhoto.count must be a whole number from 1 to ${MAX_PHOTO_COUNT}`);
+  }
+
+  return {
+    size,
+    sheet,
+    paddingMm,
+    borderMm,
+    count,
+    columns,
+    rows,
+    perSheet,
+    sheets: Math.ceil(count / perSheet),
+  };
+}
+
+/**
+ * A passport order's files as they print: each photo becomes `sheets` pages. Other files
+ * are left as they are.
+ */
+function passportPhotoFiles(files, spec, fileUrls = []) {
+  return (files || []).map((f, i) => (isImageFile(f, fileUrls[i])
+    ? { ...f, pageCount: spec.sheets, paperSize: spec.sheet === "a4" ? "A4" : f.paperSize, doubleSided: false }
+    : f));
+}
+
+module.exports = {
+  PASSPORT_PHOTO_SIZES,
+  PASSPORT_SHEETS,
+  CUT_GAP_MM,
+  SHEET_MARGIN_MM,
+  normalizePassportPhoto,
+  passportPhotoFiles,
+};
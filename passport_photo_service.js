@@ -0,0 +1,121 @@
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { isImageFile } = require('./image_layout');
+const { PASSPORT_PHOTO_SIZES, PASSPORT_SHEETS, CUT_GAP_MM, SHEET_MARGIN_MM } = require('./passport_photo');
+
+// Photo labs print at 300 DPI; sheets are rendered at exactly that and placed on a PDF
+// page of the sheet's physical size, so every photo comes out at its nominal size.
+const DPI = 300;
+const mmToPx = (mm) => Math.round(mm / 25.4 * DPI);
+const mmToPt = (mm) => mm / 25.4 * 72;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+const BORDER = { r: 40, g: 40, b: 40, alpha: 1 };
+
+/**
+ * One tile: the photo cropped to size (keeping the most salient region, normally the
+ * face), surrounded by white padding and an optional thin border.
+ */
+async function renderTile(buffer, spec) {
+    const photo = PASSPORT_PHOTO_SIZES[spec.size];
+    const photoPx = await sharp(buffer)
+        .rotate() // EXIF orientation from phone cameras
+        .resize(mmToPx(photo.widthMm), mmToPx(photo.heightMm), { fit: 'cover', position: sharp.strategy.attention })
+        .flatten({ background: WHITE })
+        .toBuffer();
+
+    const padPx = mmToPx(spec.paddingMm);
+    const borderPx = spec.borderMm > 0 ? Math.max(1, mmToPx(spec.borderMm)) : 0;
+    let tile = padPx > 0
+        ? await sharp(photoPx).extend({ top: padPx, bottom: padPx, left: padPx, right: padPx, background: WHITE }).toBuffer()
+        : photoPx;
+    if (borderPx > 0) {
+        tile = await sharp(tile).extend({ top: borderPx, bottom: borderPx, left: borderPx, right: borderPx, background: BORDER }).toBuffer();
+    }
+    return tile;
+}
+
+/**
+ * Tiles one photo `spec.count` times onto as many sheets as it takes and returns a PDF
+ * with one page per sheet: { buffer, pageCount }.
+ */
+async function buildPassportSheets(buffer, spec) {
+    const tile = await renderTile(buffer, spec);
+    const { width: tileW, height: tileH } = await sharp(tile).metadata();
+    const paper = PASSPORT_SHEETS[spec.sheet];
+    const sheetW = mmToPx(paper.widthMm);
+    const sheetH = mmToPx(paper.heightMm);
+    const gapPx = mmToPx(CUT_GAP_MM);
+    const marginPx = mmToPx(SHEET_MARGIN_MM);
+    // Centred across the sheet, starting at the top margin so leftover paper stays in one piece
+    const left = Math.round((sheetW - (spec.columns * tileW + (spec.columns - 1) * gapPx)) / 2);
+
+    const pdfDoc = await PDFDocument.create();
+    for (let s = 0; s < spec.sheets; s++) {
+        const onSheet = Math.min(spec.perSheet, spec.count - s * spec.perSheet);
+        const composites = [];
+        for (let n = 0; n < onSheet; n++) {
+            const col = n % spec.columns;
+            const row = Math.floor(n / spec.columns);
+            composites.push({
+                input: tile,
+                left: left + col * (tileW + gapPx),
+                top: marginPx + row * (tileH + gapPx),
+            });
+        }
+        const sheetJpg = await sharp({ create: { width: sheetW, height: sheetH, channels: 3, background: WHITE } })
+            .composite(composites)
+            .jpeg({ quality: 95 })
+            .withMetadata({ density: DPI })
+            .toBuffer();
+
+        const image = await pdfDoc.embedJpg(sheetJpg);
+        const page = pdfDoc.addPage([mmToPt(paper.widthMm), mmToPt(paper.heightMm)]);
+        page.drawImage(image, { x: 0, y: 0, width: page.getWidth(), height: page.getHeight() });
+    }
+
+    return { buffer: Buffer.from(await pdfDoc.save()), pageCount: pdfDoc.getPageCount() };
+}
+
+/**
+ * Turns every photo of a passport photo order into a print-ready sheet PDF, uploaded as
+ * `${orderCode}_${n}_passport`. Returns { files, fileUrls, publicIds } with the photos
+ * replaced; each processed file keeps its original upload in `sourcePublicId`.
+ */
+async function processPassportPhotos({ orderCode, fileUrls, publicIds = [], files, spec }) {
+    const outFiles = [...files];
+    const outUrls = [...fileUrls];
+    const outPublicIds = [...publicIds];
+
+    for (let i = 0; i < fileUrls.length; i++) {
+        const file = files[i] || {};
+        if (file.printReady || !isImageFile(file, fileUrls[i])) continue;
+
+        console.log(`📷 Building ${spec.count} × ${spec.size} passport photos on ${spec.sheet} for ${orderCode} (file ${i + 1})...`);
+        const source = await storage.get(fileUrls[i], publicIds[i] || null);
+        const sheets = await buildPassportSheets(source.buffer, spec);
+        const result = await storage.put(sheets.buffer, {
+            folder: 'xerox_processed_orders',
+            publicId: `${orderCode}_${i + 1}_passport`,
+            format: 'pdf',
+        });
+
+        outUrls[i] = result.url;
+        outPublicIds[i] = result.publicId;
+        outFiles[i] = {
+            ...file,
+            url: result.url,
+            publicId: result.publicId,
+            sourcePublicId: publicIds[i] || null,
+            pageCount: sheets.pageCount,
+            passportPhoto: { size: spec.size, sheet: spec.sheet, count: spec.count },
+            // Cropped and tiled at its real size; printed as it is
+            printReady: true,
+        };
+    }
+
+    return { files: outFiles, fileUrls: outUrls, publicIds: outPublicIds };
+}
+
+module.exports = { buildPassportSheets, processPassportPhotos };
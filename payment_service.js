@@ -0,0 +1,325 @@
+const { dbCustomer, findCustomerOrder, admin } = require("./firebase");
+const { createOrder } = require("./order");
+const { calculatePricingBreakdown } = require("./pricing_service");
+const { assertQuoteMatches, breakdownFromQuote } = require("./quote_service");
+const { recordTransition } = require("./order_lifecycle");
+
+/**
+ * Checkout payment intents.
+ *
+ * One document per Razorpay order in `payment_intents` (customer project 1), written when
+ * /create-razorpay-order issues the order and linked to the Firestore order once one
+ * exists. It is the only record that ties a Razorpay order to our orderId: the order
+ * itself may live on any of the three customer projects, and until /verify-payment runs
+ * there is no order at all. The webhook receiver reads it to reconcile a capture whose
+ * /verify-payment call never arrived.
+ */
+const INTENTS_COLLECTION = "payment_intents";
+
+// One document per razorpay_payment_id, naming the Razorpay order it was redeemed against.
+// A payment id can only ever produce one order; a second Razorpay order presenting the same
+// payment id is refused outright.
+const CLAIMS_COLLECTION = "payment_claims";
+
+// One document per redeemed quoteId, naming the Razorpay order it paid for. A quote buys
+// exactly one checkout; redeeming it again needs a fresh quote.
+const QUOTE_REDEMPTIONS_COLLECTION = "quote_redemptions";
+
+// A claim left "processing" longer than this is assumed to belong to a crashed request and
+// may be taken over. createOrder normally completes in well under a second.
+const CLAIM_STALE_MS = 2 * 60 * 1000;
+
+async function recordPaymentIntent(razorpayOrder, checkout = null, quote = null) {
+  const intent = {
+    razorpayOrderId: razorpayOrder.id,
+    amountPaise: Number(razorpayOrder.amount),
+    currency: razorpayOrder.currency || "INR",
+    status: "created",
+    orderId: null,
+    projectId: null,
+    paymentId: null,
+    // Enough to rebuild the order from a webhook if the app never calls /verify-payment.
+    checkout: checkout && checkout.printSettings ? checkout : null,
+    // The redeemed price quote; the order is priced from this, not from live shop prices.
+    quote: quote || null,
+    quoteId: quote ? quote.quoteId : null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await dbCustomer.collection(INTENTS_COLLECTION).doc(razorpayOrder.id).set(intent);
+  if (quote) {
+    await dbCustomer.collection(QUOTE_REDEMPTIONS_COLLECTION).doc(quote.quoteId)
+      .set({ razorpayOrderId: razorpayOrder.id }, { merge: true });
+  }
+  return intent;
+}
+
+// Firestore's ALREADY_EXISTS, raised by create() on an existing document.
+const ALREADY_EXISTS = 6;
+
+/**
+ * Marks a quote as redeemed before a Razorpay order is created for it. Throws a 409 when
+ * the quote was already redeemed. releaseQuote undoes it if no Razorpay order came of it.
+ */
+async function redeemQuote(quote) {
+  try {
+    await dbCustomer.collection(QUOTE_REDEMPTIONS_COLLECTION).doc(quote.quoteId).create({
+      quoteId: quote.quoteId,
+      shopId: quote.shopId,
+      razorpayOrderId: null,
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    if (err.code === ALREADY_EXISTS) {
+      throw conflict("This price quote has already been used. Please refresh the price and try again.");
+    }
+    throw err;
+  }
+}
+
+async function releaseQuote(quoteId) {
+  await dbCustomer.collection(QUOTE_REDEMPTIONS_COLLECTION).doc(quoteId).delete().catch(() => null);
+}
+
+async function getPaymentIntent(razorpayOrderId) {
+  if (!razorpayOrderId) return null;
+  const doc = await dbCustomer.collection(INTENTS_COLLECTION).doc(razorpayOrderId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+async function findPaymentIntentByPaymentId(paymentId) {
+  if (!paymentId) return null;
+  const snap = await dbCustomer.collection(INTENTS_COLLECTION)
+    .where("paymentId", "==", paymentId)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].data();
+}
+
+// Merge-writes so that a webhook for a Razorpay order issued before intents existed
+// still leaves a record behind for an operator to act on.
+async function updatePaymentIntent(razorpayOrderId, fields) {
+  await dbCustomer.collection(INTENTS_COLLECTION).doc(razorpayOrderId).set({
+    razorpayOrderId,
+    ...fields,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+// Our prices are rupee floats and Razorpay's are integer paise; allow one paisa of rounding.
+const AMOUNT_TOLERANCE_PAISE = 1;
+
+/**
+ * Prices the checkout on the server and checks it against what Razorpay captured.
+ *
+ * With a redeemed quote the price is the quote's, after checking that the order is the one
+ * the quote was issued for; without one (reviewer checkouts) it is computed from live shop
+ * prices. The client-sent amount is never consulted. An underpayment is refused with a 400 before
+ * any order exists; an overpayment is accepted (the customer has already paid it) and
+ * returned as a pricingFlag for the order document so an operator can refund the excess.
+ */
+async function priceCheckout(printSettings, capturedAmountPaise, quote = null) {
+  let breakdown;
+  if (quote) {
+    assertQuoteMatches(quote, printSettings);
+    breakdown = breakdownFromQuote(quote);
+  } else {
+    breakdown = await calculatePricingBreakdown(printSettings);
+  }
+  if (capturedAmountPaise == null) return { breakdown, pricingFlag: null };
+
+  const expectedPaise = Math.round(breakdown.totalAmount * 100);
+  const captured = Number(capturedAmountPaise);
+  if (captured < expectedPaise - AMOUNT_TOLERANCE_PAISE) {
+    console.error(`❌ Underpayment: captured ${captured} paise, server price ${expectedPaise} paise`);
+    const err = new Error("Payment amount does not match the order price");
+    err.status = 400;
+    err.pricingMismatch = { expectedPaise, capturedPaise: captured };
+    throw err;
+  }
+
+  let pricingFlag = null;
+  if (captured > expectedPaise + AMOUNT_TOLERANCE_PAISE) {
+    console.warn(`⚠️ Overpayment: captured ${captured} paise, server price ${expectedPaise} paise`);
+    pricingFlag = {
+      reason: "overpaid",
+      expectedAmount: expectedPaise / 100,
+      capturedAmount: captured / 100,
+    };
+  }
+  return { breakdown, pricingFlag };
+}
+
+/**
+ * Creates the Firestore order for a captured payment and marks it paid.
+ *
+ * Shared by /verify-payment and the webhook receiver so that both paths produce an
+ * identical order document and both link it back to the payment intent.
+ */
+async function createPaidOrder({
+  printSettings,
+  razorpayOrderId,
+  razorpayPaymentId,
+  capturedAmountPaise = null,
+  quote = null,
+  amount,
+  totalPages,
+  userId,
+  customId,
+  userEmail,
+  customerName,
+}) {
+  const { breakdown, pricingFlag } = await priceCheckout(printSettings, capturedAmountPaise, quote);
+
+  const result = await createOrder(
+    printSettings,
+    razorpayOrderId,
+    amount,
+    totalPages,
+    'xeroxShop',
+    userId || 'guest_user',
+    customId,
+    userEmail,
+    customerName,
+    {
+      breakdown,
+      pricingFlag,
+      capturedAmount: capturedAmountPaise != null ? Number(capturedAmountPaise) / 100 : null,
+    }
+  );
+
+  const orderRef = result.db.collection("xerox_orders").doc(result.orderId);
+  await orderRef.update({
+    userId: userId || 'guest_user',
+    razorpayPaymentId,
+    paymentStatus: "PAID",
+    status: "ACTIVE",
+  });
+  await recordTransition(orderRef, "paid", { actor: { type: "system", id: razorpayPaymentId || null }, reason: "Payment verified" });
+
+  const finalData = (await orderRef.get()).data();
+  const response = {
+    orderId: result.orderId,
+    pickupCode: finalData.pickupCode,
+    xeroxId: finalData.xeroxId || null,
+    orderCode: finalData.orderCode || null,
+    projectId: result.projectId,
+  };
+
+  if (razorpayOrderId) {
+    // The stored result is what replays of this payment return.
+    await updatePaymentIntent(razorpayOrderId, {
+      status: "order_created",
+      orderId: result.orderId,
+      projectId: result.projectId,
+      paymentId: razorpayPaymentId,
+      lockedAt: null,
+      result: response,
+    });
+  }
+  return response;
+}
+
+// `permanent` marks a conflict that no retry can resolve (the payment is bound elsewhere),
+// as opposed to a claim that is merely held by another request right now.
+function conflict(message, { permanent = false } = {}) {
+  const err = new Error(message);
+  err.status = 409;
+  err.permanent = permanent;
+  return err;
+}
+
+/**
+ * Atomically claims a (razorpay_order_id, razorpay_payment_id) pair for order creation.
+ *
+ * Returns { replay } with the original order when the pair was already redeemed, so the
+ * caller can answer a retry with the same orderId/pickupCode instead of minting a second
+ * order for one payment.
+ */
+async function claimPayment(razorpayOrderId, razorpayPaymentId) {
+  const intentRef = dbCustomer.collection(INTENTS_COLLECTION).doc(razorpayOrderId);
+  const claimRef = dbCustomer.collection(CLAIMS_COLLECTION).doc(razorpayPaymentId);
+
+  return dbCustomer.runTransaction(async (tx) => {
+    const intentDoc = await tx.get(intentRef);
+    const claimDoc = await tx.get(claimRef);
+    const intent = intentDoc.exists ? intentDoc.data() : {};
+
+    if (claimDoc.exists && claimDoc.data().razorpayOrderId !== razorpayOrderId) {
+      throw conflict("This payment has already been used for a different order", { permanent: true });
+    }
+
+    if (intent.orderId) {
+      return { replay: intent.result || { orderId: intent.orderId, projectId: intent.projectId } };
+    }
+
+    const lockedAt = intent.lockedAt ? intent.lockedAt.toMillis() : 0;
+    if (intent.status === "processing" && Date.now() - lockedAt < CLAIM_STALE_MS) {
+      throw conflict("This payment is already being processed. Please retry shortly.");
+    }
+
+    tx.set(intentRef, {
+      razorpayOrderId,
+      status: "processing",
+      paymentId: razorpayPaymentId,
+      lockedAt: admin.firestore.Timestamp.now(),
+    }, { merge: true });
+    tx.set(claimRef, {
+      razorpayOrderId,
+      razorpayPaymentId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { replay: null };
+  });
+}
+
+/**
+ * Idempotent wrapper around createPaidOrder, keyed on the Razorpay order/payment pair.
+ *
+ * /verify-payment retries (network timeout, double tap) and webhook recovery both land
+ * here; whichever arrives first creates the order and every later call replays it.
+ */
+async function createPaidOrderOnce(params) {
+  const { razorpayOrderId, razorpayPaymentId } = params;
+  const { replay } = await claimPayment(razorpayOrderId, razorpayPaymentId);
+  if (replay) {
+    console.log(`🔁 Replaying order ${replay.orderId} for Razorpay order ${razorpayOrderId}`);
+    return { ...replay, replayed: true };
+  }
+
+  try {
+    const result = await createPaidOrder(params);
+    return { ...result, replayed: false };
+  } catch (err) {
+    // Release the lock so a retry can try again; the payment claim stays, which is
+    // correct — it is still bound to this Razorpay order.
+    await updatePaymentIntent(razorpayOrderId, {
+      status: "create_failed",
+      lockedAt: null,
+      ...(err.pricingMismatch ? {
+        needsReconciliation: true,
+        reconciliationReason: "underpaid",
+        pricingMismatch: err.pricingMismatch,
+      } : {}),
+    }).catch(() => null);
+    throw err;
+  }
+}
+
+// Resolves the Firestore order linked to a Razorpay order, wherever it was written.
+async function findOrderForIntent(intent) {
+  if (!intent || !intent.orderId) return { doc: null, db: null, projectId: null };
+  return findCustomerOrder(intent.orderId);
+}
+
+module.exports = {
+  INTENTS_COLLECTION,
+  redeemQuote,
+  releaseQuote,
+  recordPaymentIntent,
+  getPaymentIntent,
+  findPaymentIntentByPaymentId,
+  updatePaymentIntent,
+  createPaidOrder,
+  createPaidOrderOnce,
+  findOrderForIntent,
+};
@@ -0,0 +1,220 @@
+const path = require('path');
+const { PDFDocument, PDFDict, PDFName, EncryptedPDFError } = require('pdf-lib');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { CONVERTIBLE_EXTENSIONS } = require('./conversion_service');
+
+/**
+ * Upload preflight.
+ *
+ * A file that cannot be processed (password protected, damaged, empty) used to be found
+ * only in /complete-order, after payment, where the failure refunds and deletes the whole
+ * order. The app calls /api/files/preflight right after uploading, before checkout, and
+ * shows the customer what is wrong with each file so they can replace it.
+ *
+ * Problems are { code, severity, message }. An `error` blocks checkout; a `warning` (fonts
+ * that are not embedded) prints, but may not look like the original.
+ *
+ * PREFLIGHT_MAX_PAGES and PREFLIGHT_MAX_FILE_MB set the limits (500 pages, 50 MB).
+ */
+
+const MAX_PAGES = Number(process.env.PREFLIGHT_MAX_PAGES) || 500;
+const MAX_FILE_BYTES = (Number(process.env.PREFLIGHT_MAX_FILE_MB) || 50) * 1024 * 1024;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// The 14 standard PDF fonts every renderer carries, plus the common aliases of the same faces.
+const STANDARD_FONTS = /^(Helvetica|Times|Courier|Symbol|ZapfDingbats|Arial|TimesNewRoman|CourierNew)/i;
+
+const problem = (code, severity, message) => ({ code, severity, message });
+
+function extensionOf(file, fileUrl) {
+    const fromName = path.extname((file && file.fileName) || '').toLowerCase();
+    if (fromName) return fromName;
+    return path.extname(String(fileUrl || '').split('?')[0]).toLowerCase();
+}
+
+/**
+ * Names of fonts the PDF uses without embedding them (and that are not one of the
+ * standard fonts). Such text is drawn with a substitute font at print time.
+ */
+function nonEmbeddedFonts(pdfDoc) {
+    const missing = new Set();
+    const lookup = (dict, key) => dict.lookup(PDFName.of(key));
+
+    const hasFontFile = (fontDict) => {
+        const descriptor = lookup(fontDict, 'FontDescriptor');
+        if (!(descriptor instanceof PDFDict)) return false;
+        return ['FontFile', 'FontFile2', 'FontFile3'].some(k => lookup(descriptor, k));
+    };
+
+    for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFDict)) continue;
+        const type = lookup(object, 'Type');
+        const subtype = lookup(object, 'Subtype');
+        if (!type || type.toString() !== '/Font' || !subtype) continue;
+        // Type3 fonts are drawn from PDF content; composite fonts are checked through
+        // their descendant font.
+        if (['/Type3', '/Type0'].includes(subtype.toString())) continue;
+
+        const baseFont = lookup(object, 'BaseFont');
+        const name = baseFont ? baseFont.decodeText() : 'Unnamed font';
+        // Subset fonts ("ABCDEF+Calibri") are embedded by definition.
+        if (/^[A-Z]{6}\+/.test(name) || STANDARD_FONTS.test(name)) continue;
+        if (!hasFontFile(object)) missing.add(name);
+    }
+    return [...missing];
+}
+
+async function inspectPdf(buffer) {
+    const problems = [];
+    let pdfDoc;
+    let pageCount;
+    try {
+        pdfDoc = await PDFDocument.load(buffer);
+        // pdf-lib parses leniently; a file without a usable page tree only fails here
+        pageCount = pdfDoc.getPageCount();
+    } catch (err) {
+        if (err instanceof EncryptedPDFError) {
+            return { pageCount: null, problems: [problem('encrypted', 'error', 'The PDF is password protected. Remove the password and upload it again.')] };
+        }
+        return { pageCount: null, problems: [problem('corrupt', 'error', 'The PDF is damaged and cannot be opened.')] };
+    }
+
+    if (pageCount === 0) {
+        problems.push(problem('zero_pages', 'error', 'The PDF has no pages.'));
+        return { pageCount, problems };
+    }
+    if (pageCount > MAX_PAGES) {
+        problems.push(problem('too_many_pages', 'error', `The PDF has ${pageCount} pages; the limit is ${MAX_PAGES}.`));
+    }
+
+    // Watermarking embeds every page into a new document; a page that cannot be embedded
+    // (missing or broken content stream) would fail there.
+    try {
+        const scratch = await PDFDocument.create();
+        await scratch.embedPages(pdfDoc.getPages());
+    } catch (err) {
+        problems.push(problem('corrupt', 'error', 'Some pages of the PDF are damaged and cannot be printed.'));
+    }
+
+    const fonts = nonEmbeddedFonts(pdfDoc);
+    if (fonts.length > 0) {
+        problems.push(problem('fonts_not_embedded', 'warning',
+            `These fonts are not embedded and will print in a substitute font: ${fonts.slice(0, 5).join(', ')}${fonts.length > 5 ? '…' : ''}.`));
+    }
+    return { pageCount, problems };
+}
+
+async function inspectImage(buffer) {
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (!metadata.width || !metadata.height) {
+            return { pageCount: null, problems: [problem('corrupt', 'error', 'The image is damaged and cannot be opened.')] };
+        }
+        return { pageCount: metadata.pages || 1, problems: [] };
+    } catch (err) {
+        return { pageCount: null, problems: [problem('corrupt', 'error', 'The image is damaged and cannot be opened.')] };
+    }
+}
+
+function newResult(file, index) {
+    const fileName = (file && file.fileName) || `File ${index + 1}`;
+    return { index, fileName, ok: false, pageCount: null, sizeBytes: null, problems: [] };
+}
+
+function unsupportedType(extension) {
+    const supported = extension === '.pdf' || IMAGE_EXTENSIONS.includes(extension) || CONVERTIBLE_EXTENSIONS.includes(extension);
+    return extension && !supported
+        ? problem('unsupported_type', 'error', `${extension} files cannot be printed.`)
+        : null;
+}
+
+// Size and content checks shared by preflightFile and preflightBuffer; fills in `result`.
+async function inspectContents(result, buffer, { isPdf, isConvertible }) {
+    result.sizeBytes = buffer.length;
+    if (buffer.length === 0) {
+        result.problems.push(problem('corrupt', 'error', 'The file is empty.'));
+        return result;
+    }
+    if (buffer.length > MAX_FILE_BYTES) {
+        result.problems.push(problem('too_large', 'error',
+            `The file is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; the limit is ${MAX_FILE_BYTES / 1024 / 1024} MB.`));
+    }
+
+    if (!isConvertible) {
+        const inspected = isPdf ? await inspectPdf(buffer) : await inspectImage(buffer);
+        result.pageCount = inspected.pageCount;
+        result.problems.push(...inspected.problems);
+    }
+
+    result.ok = !result.problems.some(p => p.severity === 'error');
+    return result;
+}
+
+/**
+ * Checks one uploaded file. Returns { index, fileName, ok, pageCount, sizeBytes, problems }.
+ * Office documents are only size-checked here; they are converted to PDF after payment.
+ */
+async function preflightFile(fileUrl, publicId, file, index) {
+    const result = newResult(file, index);
+    const extension = extensionOf(file, fileUrl);
+    const unsupported = unsupportedType(extension);
+    if (unsupported) {
+        result.problems.push(unsupported);
+        return result;
+    }
+
+    if (!storage.isStorageUrl(fileUrl)) {
+        result.problems.push(problem('unavailable', 'error', 'The file was not uploaded to our storage. Upload it again.'));
+        return result;
+    }
+
+    let asset;
+    try {
+        // Stops at the size limit instead of holding an oversized file in memory
+        asset = await storage.get(fileUrl, publicId, { maxBytes: MAX_FILE_BYTES });
+    } catch (err) {
+        result.problems.push(err.status === 413
+            ? problem('too_large', 'error', `The file is larger than the ${MAX_FILE_BYTES / 1024 / 1024} MB limit.`)
+            : problem('unavailable', 'error', 'The file could not be found. Upload it again.'));
+        return result;
+    }
+
+    return inspectContents(result, asset.buffer, {
+        isPdf: asset.isPdf,
+        isConvertible: CONVERTIBLE_EXTENSIONS.includes(extension),
+    });
+}
+
+/**
+ * Same checks as preflightFile for a file the server received directly (POST
+ * /orders/:orderId/files) and has not stored yet. The type comes from `file.fileName`.
+ */
+async function preflightBuffer(buffer, file, index) {
+    const result = newResult(file, index);
+    const extension = extensionOf(file, null);
+    const unsupported = unsupportedType(extension);
+    if (unsupported) {
+        result.problems.push(unsupported);
+        return result;
+    }
+
+    return inspectContents(result, buffer, {
+        isPdf: extension === '.pdf',
+        isConvertible: CONVERTIBLE_EXTENSIONS.includes(extension),
+    });
+}
+
+/**
+ * Preflights every file of a cart, one at a time to bound memory on large uploads.
+ * Returns { ok, files }.
+ */
+async function preflightFiles({ fileUrls, publicIds = [], files = [] }) {
+    const results = [];
+    for (let i = 0; i < fileUrls.length; i++) {
+        results.push(await preflightFile(fileUrls[i], publicIds[i] || null, files[i], i));
+    }
+    return { ok: results.every(r => r.ok), files: results };
+}
+
+module.exports = { preflightFile, preflightBuffer, preflightFiles };
@@ -0,0 +1,430 @@
+const { dbCustomer: db, dbAdmin } = require("./firebase");
+const { printedPageCount, normalizePageRanges } = require("./page_ranges");
+const { normalizeLayout, isImposed, faceSegments } = require("./page_layout");
+const { normalizeImageLayout, composeImageFiles } = require("./image_layout");
+const { normalizePassportPhoto, passportPhotoFiles } = require("./passport_photo");
+
+/**
+ * The pricing engine.
+ *
+ * Every price the platform quotes or charges is computed here: /api/pricing/calculate
+ * shows the customer a quote, createOrder records the charge, and both must agree to the
+ * paisa. Before this module they were two engines with different bulk thresholds,
+ * commission sources and fees, so the app regularly charged a different amount from the
+ * one it displayed.
+ *
+ * PRICING_RULES holds every constant the engine uses. Bump `version` whenever a rule
+ * changes so that a stored order (pricingRulesVersion) can be explained later.
+ */
+
+const DEFAULT_SERVICE_ID = 'ZHwQd18Vy08TZkyBFXjB';
+
+const PASSPORT_PHOTO_SERVICE_ID = 'yPiaqNqbvhABcunanu5X';
+
+const BOND_PAPER_SERVICE_ID = 'nyAKL7mMnGGkTx2Ow9HA';
+
+// Project binding has no print prices of its own: pages are printed and priced under the
+// plain document service (or bond paper, priced at A4), and the binding is charged on top.
+const PROJECT_BINDING_SERVICE_ID = 'project_binding';
+
+const BINDING_TYPES = ['spiral', 'thermal', 'paper'];
+
+const PRICING_RULES = {
+  // v2: rates resolve per file paper size; the cover page charge is part of the total.
+  // v3: project binding is charged (shop price per binding plus `{type}_binding` commission).
+  // v4: files with pageRanges are priced per range, each at its own colour mode.
+  // v5: N-up and booklet files are priced per printed sheet side, not per logical page.
+  // v6: with an imageLayout, image files are priced as the composed A4 pages they print on.
+  // v7: passport photos are priced per sheet of tiled photos (see passport_photo.js).
+  version: 7,
+  // Used for any price a shop has not configured. Double-side prices are per sheet (2 pages).
+  defaults: {
+    color: { single: 10.0, double: 15.0, bulk: 8.0, bulkStartPages: 50 },
+    bw: { single: 2.0, double: 3.0, bulk: 1.5, bulkStartPages: 100 },
+  },
+  // Files printing more than `afterPages` sides pay `perCopy` for every copy.
+  extraPageFee: { afterPages: 5, perCopy: 2.0 },
+  // Charged on top of commission. Zero in v1: the quote used to add ₹1 that was never charged.
+  platformFee: 0.0,
+  // Orders with more printable pages (pages x copies) than this get a cover page, unless the
+  // customer opts out or the service prints no documents (passport photos).
+  coverPage: { afterPages: 5, charge: 2.0, exemptServiceIds: [PASSPORT_PHOTO_SERVICE_ID] },
+};
+
+// The service whose print prices apply, and the size key to read them at.
+function printTargetFor(serviceId, sizeKey) {
+  if (serviceId !== PROJECT_BINDING_SERVICE_ID) return { serviceId, sizeKey };
+  return String(sizeKey).includes('bond')
+    ? { serviceId: BOND_PAPER_SERVICE_ID, sizeKey: 'a4' }
+    : { serviceId: DEFAULT_SERVICE_ID, sizeKey };
+}
+
+async function loadServiceParams(serviceId) {
+  let serviceDoc = await db.collection("zikrinter").doc(serviceId).get();
+  if (!serviceDoc.exists) {
+    serviceDoc = await db.collection("services").doc(serviceId).get();
+  }
+  if (!serviceDoc.exists || serviceDoc.data().isDeleted === true) return null;
+  return serviceDoc.data().parameters || {};
+}
+
+/**
+ * Loads the shop's service configuration and the service's global parameters.
+ * Global parameters come from `zikrinter/{serviceId}`, falling back to `services/{serviceId}`.
+ *
+ * For project binding the print context is the target print service's (see printTargetFor)
+ * and the binding context — the shop's `project_binding.bindings` prices and the binding
+ * service's `{type}_binding` commission parameters — is loaded alongside it.
+ */
+async function loadPricingContext({ shopId, serviceId = DEFAULT_SERVICE_ID, paperSize = 'A4' }) {
+  const context = {
+    shopExists: false,
+    serviceExists: false,
+    shopConfig: null,
+    globalParams: null,
+    bindingPrices: null,
+    bindingParams: null,
+  };
+  if (!shopId) return context;
+
+  const shopDoc = await dbAdmin.collection("shops").doc(shopId).get();
+  if (!shopDoc.exists) return context;
+  context.shopExists = true;
+  const zikrinterServices = shopDoc.data().zikrinterServices || {};
+  const target = printTargetFor(serviceId, String(paperSize).toLowerCase());
+  context.shopConfig = zikrinterServices[target.serviceId] || null;
+
+  const globalParams = await loadServiceParams(target.serviceId);
+  if (globalParams) {
+    context.serviceExists = true;
+    context.globalParams = globalParams;
+  }
+
+  const bindingConfig = zikrinterServices[PROJECT_BINDING_SERVICE_ID];
+  if (bindingConfig && bindingConfig.isEnabled === true) {
+    context.bindingPrices = bindingConfig.bindings || {};
+    context.bindingParams = await loadServiceParams(PROJECT_BINDING_SERVICE_ID);
+  }
+  return context;
+}
+
+/**
+ * Resolves per-size rates from the shop config, in order of preference: the nested
+ * `paperSizes.{size}` map, the flattened `{size}_{mode}_*` keys, and for A4 the legacy
+ * unprefixed keys. Bulk thresholds come from the service's `bulkPrinting.setPages`,
+ * falling back to `bulkStartPages`.
+ */
+function resolveRates(shopConfig, globalParams, sizeKey) {
+  const rates = {
+    color: { ...PRICING_RULES.defaults.color },
+    bw: { ...PRICING_RULES.defaults.bw },
+  };
+
+  if (shopConfig) {
+    const sizeConfig = (shopConfig.paperSizes || {})[sizeKey];
+    if (sizeConfig) {
+      for (const mode of ['bw', 'color']) {
+        rates[mode].single = Number(sizeConfig[mode]?.singleSidePrice) || rates[mode].single;
+        rates[mode].double = Number(sizeConfig[mode]?.doubleSidePrice) || rates[mode].double;
+        rates[mode].bulk = Number(sizeConfig[mode]?.bulkPrintingPrice) || rates[mode].bulk;
+      }
+    } else {
+      for (const mode of ['bw', 'color']) {
+        rates[mode].single = Number(shopConfig[`${sizeKey}_${mode}_singleSidePrice`]) || rates[mode].single;
+        rates[mode].double = Number(shopConfig[`${sizeKey}_${mode}_doubleSidePrice`]) || rates[mode].double;
+        rates[mode].bulk = Number(shopConfig[`${sizeKey}_${mode}_bulkPrintingPrice`]) || rates[mode].bulk;
+      }
+      if (sizeKey === 'a4') {
+        rates.color.single = Number(shopConfig.color_singleSidePrice ?? shopConfig.singleSidePrice ?? rates.color.single);
+        rates.color.double = Number(shopConfig.color_doubleSidePrice ?? shopConfig.doubleSidePrice ?? rates.color.double);
+        rates.color.bulk = Number(shopConfig.color_bulkPrintingPrice ?? shopConfig.bulkPrintingPrice ?? rates.color.bulk);
+
+        rates.bw.single = Number(shopConfig.bw_singleSidePrice ?? rates.bw.single);
+        rates.bw.double = Number(shopConfig.bw_doubleSidePrice ?? rates.bw.double);
+        rates.bw.bulk = Number(shopConfig.bw_bulkPrintingPrice ?? rates.bw.bulk);
+      }
+    }
+  }
+
+  if (globalParams) {
+    const bulkParams = {
+      color: globalParams[`${sizeKey}_color_bulkPrinting`] || globalParams.color_bulkPrinting || globalParams.bulkPrinting,
+      bw: globalParams[`${sizeKey}_bw_bulkPrinting`] || globalParams.bw_bulkPrinting,
+    };
+    for (const mode of ['bw', 'color']) {
+      const startPages = bulkParams[mode]?.setPages
+        ?? globalParams[`${sizeKey}_${mode}_bulkStartPages`]
+        ?? globalParams[`${mode}_bulkStartPages`];
+      if (startPages != null) rates[mode].bulkStartPages = Number(startPages);
+    }
+  }
+
+  return rates;
+}
+
+// Commission is configured per pricing parameter (e.g. `bw_doubleSide`) on the service.
+function commissionFor(globalParams, paramKey) {
+  const param = globalParams && globalParams[paramKey];
+  if (!param) return { commissionType: 'percentage', commissionValue: 0 };
+  return {
+    commissionType: param.commissionType || 'percentage',
+    commissionValue: Number(param.commission || 0),
+  };
+}
+
+/**
+ * Prices a single print line (a whole file, or one page range of it). Bulk pricing wins
+ * over double-side; double-side is charged per sheet, with an odd trailing page at the
+ * single-side rate.
+ */
+function priceLine({ pages, copies, isColor, isDoubleSided }, rates, globalParams) {
+  const mode = isColor ? 'color' : 'bw';
+  const r = rates[mode];
+
+  let paramKey;
+  let rate;
+  let printCost;
+  if (pages >= r.bulkStartPages) {
+    paramKey = `${mode}_bulkPrinting`;
+    rate = r.bulk;
+    printCost = r.bulk * pages * copies;
+  } else if (isDoubleSided && pages >= 2) {
+    paramKey = `${mode}_doubleSide`;
+    rate = r.double;
+    printCost = (Math.floor(pages / 2) * r.double + (pages % 2) * r.single) * copies;
+  } else {
+    paramKey = `${mode}_singleSide`;
+    rate = r.single;
+    printCost = r.single * pages * copies;
+  }
+
+  const { commissionType, commissionValue } = commissionFor(globalParams, paramKey);
+  const commission = commissionType === 'fixed'
+    ? commissionValue * pages * copies
+    : printCost * (commissionValue / 100.0);
+
+  return { paramKey, rate, printCost, commission, commissionType, commissionValue };
+}
+
+// Charged once per file, on the pages it actually prints.
+function extraPageFeeFor(pages, copies) {
+  const { afterPages, perCopy } = PRICING_RULES.extraPageFee;
+  return pages > afterPages ? perCopy * copies : 0.0;
+}
+
+function bindingError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// printSettings.binding as { type, quantity }, or null when no binding was chosen.
+function normalizeBinding(binding) {
+  if (!binding || !binding.type) return null;
+  return {
+    type: String(binding.type).toLowerCase(),
+    quantity: Math.max(1, Math.floor(Number(binding.quantity) || 1)),
+  };
+}
+
+/**
+ * Prices the binding line. The shop's price is per binding (a number, or { price } in
+ * older configs); commission comes from the `{type}_binding` parameter of the binding
+ * service, fixed per binding or a percentage of the shop price. Throws a 400 when the shop
+ * does not offer the requested binding, rather than binding it for free.
+ */
+function priceBinding(binding, context) {
+  const normalized = normalizeBinding(binding);
+  if (!normalized) return null;
+  const { type, quantity } = normalized;
+  if (!BINDING_TYPES.includes(type)) {
+    throw bindingError(`Unsupported binding type: ${type}`);
+  }
+
+  const configured = (context.bindingPrices || {})[type];
+  const unitPrice = Number(configured && typeof configured === 'object' ? configured.price : configured) || 0;
+  if (unitPrice <= 0) {
+    throw bindingError(`This shop does not offer ${type} binding`);
+  }
+
+  const paramKey = `${type}_binding`;
+  const { commissionType, commissionValue } = commissionFor(context.bindingParams, paramKey);
+  const cost = unitPrice * quantity;
+  const commission = commissionType === 'fixed'
+    ? commissionValue * quantity
+    : cost * (commissionValue / 100.0);
+
+  return { type, quantity, paramKey, unitPrice, cost, commission, commissionType, commissionValue };
+}
+
+function coverPageFor(totalPrintablePages, { requested, serviceId } = {}) {
+  const generateCoverPage =
+    requested !== false &&
+    !PRICING_RULES.coverPage.exemptServiceIds.includes(serviceId) &&
+    totalPrintablePages > PRICING_RULES.coverPage.afterPages;
+  return {
+    generateCoverPage,
+    coverPageCharge: generateCoverPage ? PRICING_RULES.coverPage.charge : 0.0,
+  };
+}
+
+/**
+ * Prices a list of print files against an already loaded context. Pure: no I/O.
+ *
+ * Print lines are priced on sheet sides (see page_layout.js): one per page for plain
+ * files, fewer for N-up and booklet files. `totalPrintablePages` counts sides x copies.
+ *
+ * Each file is priced at its own paper size (falling back to the order's). `generateCoverPage`
+ * is the customer's choice; `false` opts out, anything else follows PRICING_RULES.coverPage.
+ * With an `imageLayout` the image files are priced as one composed file (see image_layout.js),
+ * so line item indices follow the composed file list. With `passportPhoto` each photo is
+ * priced as the sheets it is tiled onto.
+ */
+function priceFiles(inputFiles, context, { paperSize = 'A4', generateCoverPage, serviceId, binding, imageLayout = null, passportPhoto = null } = {}) {
+  const composed = composeImageFiles(inputFiles, imageLayout).files;
+  const files = passportPhoto ? passportPhotoFiles(composed, passportPhoto) : composed;
+  const globalParams = context.globalParams || null;
+  const ratesBySize = {};
+  const ratesFor = (paperSizeKey) => {
+    const { sizeKey } = printTargetFor(serviceId, paperSizeKey);
+    if (!ratesBySize[sizeKey]) ratesBySize[sizeKey] = resolveRates(context.shopConfig, globalParams, sizeKey);
+    return ratesBySize[sizeKey];
+  };
+
+  let printingCost = 0;
+  let platformCommission = 0;
+  let extraPageFee = 0;
+  let commissionType = 'percentage';
+  let commissionValue = 0;
+  let totalPrintablePages = 0;
+  const lineItems = [];
+
+  files.forEach((file, index) => {
+    const copies = Number(file.copies) || 1;
+    const filePaperSize = file.paperSize || paperSize;
+    const layout = normalizeLayout(file);
+    // Booklets only fold correctly when printed on both sides.
+    const isDoubleSided = layout.booklet || !!(file.doubleSided || file.duplex);
+    const rates = ratesFor(String(filePaperSize).toLowerCase());
+
+    const segments = faceSegments(file).map((segment) => ({
+      ...segment,
+      ...priceLine({ pages: segment.faces, copies, isColor: segment.color === "COLOR", isDoubleSided }, rates, globalParams),
+    }));
+    const pages = printedPageCount(file);
+    const faces = segments.reduce((sum, s) => sum + s.faces, 0);
+    const filePrintCost = segments.reduce((sum, s) => sum + s.printCost, 0);
+    const fileCommission = segments.reduce((sum, s) => sum + s.commission, 0);
+    const fileExtraPageFee = extraPageFeeFor(faces, copies);
+    const lastSegment = segments[segments.length - 1];
+
+    printingCost += filePrintCost;
+    platformCommission += fileCommission;
+    extraPageFee += fileExtraPageFee;
+    // The order document records a single commission type/value; the last file's wins.
+    commissionType = lastSegment.commissionType;
+    commissionValue = lastSegment.commissionValue;
+    totalPrintablePages += faces * copies;
+
+    lineItems.push({
+      index,
+      fileName: file.fileName || `File ${index + 1}`,
+      paperSize: filePaperSize,
+      pages,
+      faces,
+      copies,
+      pagesPerSheet: layout.pagesPerSheet,
+      booklet: layout.booklet,
+      paramKey: segments[0].paramKey,
+      rate: segments[0].rate,
+      printCost: filePrintCost,
+      commission: fileCommission,
+      commissionType: lastSegment.commissionType,
+      commissionValue: lastSegment.commissionValue,
+      extraPageFee: fileExtraPageFee,
+      // Per-range (or per-run of booklet sides) lines, for files that print a selection of
+      // their pages or are imposed.
+      ranges: normalizePageRanges(file) || isImposed(layout) ? segments : null,
+    });
+  });
+
+  const bindingLine = priceBinding(binding, context);
+  const bindingCost = bindingLine ? bindingLine.cost : 0.0;
+  if (bindingLine) platformCommission += bindingLine.commission;
+
+  // Round commission UP to nearest integer (e.g. ₹2.69 → ₹3)
+  const roundedCommission = Math.ceil(platformCommission);
+  const platformFee = files.length > 0 ? PRICING_RULES.platformFee : 0.0;
+  const coverPage = coverPageFor(totalPrintablePages, { requested: generateCoverPage, serviceId });
+
+  return {
+    rulesVersion: PRICING_RULES.version,
+    paperSize,
+    lineItems,
+    totalPrintablePages,
+    printingCost,
+    platformCommission: roundedCommission,
+    extraPageFee,
+    platformFee,
+    generateCoverPage: coverPage.generateCoverPage,
+    coverPageCharge: coverPage.coverPageCharge,
+    binding: bindingLine,
+    bindingCost,
+    imageLayout,
+    passportPhoto,
+    totalAmount: printingCost + bindingCost + roundedCommission + extraPageFee + platformFee + coverPage.coverPageCharge,
+    shopPricingUsed: context.shopConfig || {},
+    commissionType,
+    commissionValue,
+  };
+}
+
+/**
+ * Prices an order's printSettings, loading the shop and service configuration it names.
+ */
+async function calculatePricingBreakdown(printSettings) {
+  const files = Array.isArray(printSettings.files) ? printSettings.files : [];
+  if (files.length === 0) {
+    return priceFiles([], { shopConfig: null, globalParams: null }, { generateCoverPage: false });
+  }
+
+  const options = pricingOptions(printSettings);
+  const serviceId = options.serviceId;
+  let context = { shopConfig: null, globalParams: null };
+  try {
+    context = await loadPricingContext({ shopId: printSettings.shopId, serviceId, paperSize: options.paperSize });
+  } catch (e) {
+    console.error("Error loading shop pricing in breakdown:", e.message);
+  }
+
+  return priceFiles(files, context, options);
+}
+
+// The order-level choices priceFiles needs, read from printSettings (or a cart quote request).
+function pricingOptions(printSettings) {
+  const files = Array.isArray(printSettings.files) ? printSettings.files : [];
+  const serviceId = printSettings.serviceId || DEFAULT_SERVICE_ID;
+  return {
+    paperSize: printSettings.paperSize || (files[0] && files[0].paperSize) || 'A4',
+    generateCoverPage: printSettings.generateCoverPage,
+    serviceId,
+    binding: normalizeBinding(printSettings.binding),
+    imageLayout: normalizeImageLayout(printSettings.imageLayout),
+    passportPhoto: serviceId === PASSPORT_PHOTO_SERVICE_ID ? normalizePassportPhoto(printSettings.passportPhoto) : null,
+  };
+}
+
+module.exports = {
+  PRICING_RULES,
+  DEFAULT_SERVICE_ID,
+  PASSPORT_PHOTO_SERVICE_ID,
+  PROJECT_BINDING_SERVICE_ID,
+  BINDING_TYPES,
+  loadPricingContext,
+  resolveRates,
+  priceFiles,
+  pricingOptions,
+  normalizeBinding,
+  coverPageFor,
+  calculatePricingBreakdown,
+};
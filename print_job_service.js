@@ -0,0 +1,110 @@
+const { PDFDocument } = require('pdf-lib');
+const storage = require('./storage');
+const { layoutPage } = require('./watermark_service');
+
+// A4 portrait, for images and blank padding when there is no neighbouring page to match
+const A4 = [595.28, 841.89];
+
+/**
+ * Merged print job.
+ *
+ * The shop used to receive the cover page and each file as separate links (printSequence)
+ * and had to print them one by one, in order, setting copies by hand. The job PDF is the
+ * whole order as one document: cover page, then every file repeated once per copy.
+ *
+ * When anything in the order prints double-sided the job is a duplex job, and blank pages
+ * are inserted so that no two documents (or copies) share a sheet: an odd-length document
+ * is padded at its end, and a single-sided file gets a blank back on every page.
+ */
+
+/**
+ * Builds the job PDF from already processed files (watermarked / imposed).
+ *
+ * `parts` are [{ buffer, isPdf, copies, doubleSided }] in print order, cover page first.
+ * Each document is embedded once and drawn onto every copy's pages, so copies do not
+ * multiply the file size.
+ */
+async function buildJobPdf(parts) {
+    const jobDoc = await PDFDocument.create();
+    const duplex = parts.some(p => p.doubleSided);
+
+    const addBlank = (size) => jobDoc.addPage(size || A4);
+
+    for (const part of parts) {
+        const pages = [];
+        if (part.isPdf) {
+            const source = await PDFDocument.load(part.buffer, { ignoreEncryption: true });
+            const sourcePages = source.getPages();
+            const embedded = await jobDoc.embedPages(sourcePages);
+            embedded.forEach((page, i) => {
+                const rotation = ((sourcePages[i].getRotation().angle % 360) + 360) % 360;
+                pages.push({ ...layoutPage(page, rotation, null, ''), embedded: page });
+            });
+        } else {
+            const isPng = part.buffer.slice(0, 4).toString('hex') === '89504e47';
+            const image = isPng ? await jobDoc.embedPng(part.buffer) : await jobDoc.embedJpg(part.buffer);
+            const scale = Math.min((A4[0] - 20) / image.width, (A4[1] - 40) / image.height);
+            const w = image.width * scale;
+            const h = image.height * scale;
+            pages.push({ sheet: A4, image, draw: { x: (A4[0] - w) / 2, y: (A4[1] - h) / 2, width: w, height: h } });
+        }
+
+        for (let copy = 0; copy < (Number(part.copies) || 1); copy++) {
+            for (const p of pages) {
+                const page = jobDoc.addPage(p.sheet);
+                if (p.image) page.drawImage(p.image, p.draw);
+                else page.drawPage(p.embedded, p.draw);
+                if (duplex && !part.doubleSided) addBlank(p.sheet);
+            }
+            if (duplex && part.doubleSided && pages.length % 2 === 1) {
+                addBlank(pages[pages.length - 1].sheet);
+            }
+        }
+    }
+
+    return {
+        buffer: Buffer.from(await jobDoc.save()),
+        pageCount: jobDoc.getPageCount(),
+        duplex,
+    };
+}
+
+/**
+ * Builds and uploads the job PDF for an order. `fileUrls`/`publicIds` are the final
+ * processed files, cover page first when there is one; `files` are printSettings.files.
+ * Returns { url, publicId, pageCount, duplex }.
+ */
+async function createJobPdf({ orderCode, fileUrls, publicIds, files, hasCoverPage }) {
+    const downloads = await Promise.all(fileUrls.map((url, i) => storage.get(url, publicIds[i] || null)));
+
+    const parts = downloads.map((asset, i) => {
+        // In a duplex job the single-sided cover page gets a blank back, so the first
+        // document starts on a fresh sheet.
+        if (hasCoverPage && i === 0) {
+            return { buffer: asset.buffer, isPdf: true, copies: 1, doubleSided: false };
+        }
+        const file = files[hasCoverPage ? i - 1 : i] || {};
+        return {
+            buffer: asset.buffer,
+            isPdf: asset.isPdf,
+            copies: Number(file.copies) || 1,
+            doubleSided: !!(file.doubleSided || file.duplex || file.booklet),
+        };
+    });
+
+    const job = await buildJobPdf(parts);
+    const result = await storage.put(job.buffer, {
+        folder: 'xerox_processed_orders',
+        publicId: `${orderCode}_job`,
+        format: 'pdf',
+    });
+
+    return {
+        url: storage.signedUrl(result.url, { publicId: result.publicId }),
+        publicId: result.publicId,
+        pageCount: job.pageCount,
+        duplex: job.duplex,
+    };
+}
+
+module.exports = { buildJobPdf, createJobPdf };
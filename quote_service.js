@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const { normalizeBinding, coverPageFor } = require("./pricing_service");
+const { normalizeImageLayout } = require("./image_layout");
+const { normalizePassportPhoto } = require("./passport_photo");
+const { normalizePageRanges } = require("./page_ranges");
+const { normalizeLayout } = require("./page_layout");
+
+/**
+ * Signed price quotes.
+ *
+ * /api/pricing/calculate returns a quote token: the full pricing breakdown, a snapshot of
+ * the shop prices it was computed from and an expiry, HMAC-signed by this server.
+ * /create-razorpay-order redeems the token and charges exactly its amount, and
+ * /verify-payment prices the order from the redeemed quote rather than from live shop
+ * prices. A shop editing its prices through /api/shop/pricing mid-checkout therefore can
+ * no longer change what a customer who already saw a price is charged.
+ *
+ * Tokens are `<base64url(payload)>.<base64url(hmac)>`; nothing is stored until a quote
+ * is redeemed, at which point the payload is copied onto the payment intent. A quote can
+ * be redeemed once (see redeemQuote in payment_service.js).
+ */
+
+// v2 carries the cover page decision and charge; v3 the priced binding; v4 page ranges;
+// v5 N-up and booklet layouts; v6 the image composition layout; v7 passport photo sheets.
+const QUOTE_VERSION = 7;
+const QUOTE_TTL_MS = 15 * 60 * 1000;
+
+// QUOTE_SIGNING_SECRET is preferred; without it a key is derived from the Razorpay secret,
+// which every deployment already has, so quoting never silently goes unsigned.
+function signingKey() {
+  if (process.env.QUOTE_SIGNING_SECRET) return process.env.QUOTE_SIGNING_SECRET;
+  return crypto.createHmac("sha256", process.env.RAZORPAY_KEY_SECRET || "")
+    .update("zikrint-price-quote")
+    .digest();
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac("sha256", signingKey()).update(encodedPayload).digest("base64url");
+}
+
+function quoteError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Digest of the fields that decide a file's price. A quote is only valid for the exact
+ * set of files it was computed for, in the same order.
+ */
+function filesDigest(files, defaultPaperSize = 'A4') {
+  const normalized = (files || []).map((f) => ({
+    pageCount: Number(f.pageCount) || 1,
+    copies: Number(f.copies) || 1,
+    color: f.color === "COLOR" ? "COLOR" : "BW",
+    doubleSided: !!(f.doubleSided || f.duplex),
+    paperSize: String(f.paperSize || defaultPaperSize).toUpperCase(),
+    pageRanges: normalizePageRanges(f),
+    ...normalizeLayout(f),
+  }));
+  return crypto.createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+function issueQuote({ shopId, serviceId, files, breakdown }) {
+  const issuedAt = Date.now();
+  const quote = {
+    v: QUOTE_VERSION,
+    quoteId: crypto.randomUUID(),
+    shopId,
+    serviceId,
+    paperSize: breakdown.paperSize,
+    rulesVersion: breakdown.rulesVersion,
+    filesDigest: filesDigest(files, breakdown.paperSize),
+    lineItems: breakdown.lineItems,
+    printingCost: breakdown.printingCost,
+    platformCommission: breakdown.platformCommission,
+    extraPageFee: breakdown.extraPageFee,
+    platformFee: breakdown.platformFee,
+    generateCoverPage: breakdown.generateCoverPage,
+    coverPageCharge: breakdown.coverPageCharge,
+    binding: breakdown.binding || null,
+    bindingCost: breakdown.bindingCost || 0,
+    imageLayout: breakdown.imageLayout || null,
+    passportPhoto: breakdown.passportPhoto || null,
+    totalPrintablePages: breakdown.totalPrintablePages,
+    totalAmount: breakdown.totalAmount,
+    amountPaise: Math.round(breakdown.totalAmount * 100),
+    commissionType: breakdown.commissionType,
+    commissionValue: breakdown.commissionValue,
+    shopPricingSnapshot: breakdown.shopPricingUsed || {},
+    issuedAt,
+    expiresAt: issuedAt + QUOTE_TTL_MS,
+  };
+  const encoded = Buffer.from(JSON.stringify(quote)).toString("base64url");
+  return { token: `${encoded}.${sign(encoded)}`, quote };
+}
+
+/**
+ * Returns the quote payload or throws a 400. Expiry is enforced when a quote is redeemed
+ * for a Razorpay order; once redeemed the customer may take as long as Razorpay allows to
+ * pay, so later checks pass `allowExpired`.
+ */
+function verifyQuote(token, { allowExpired = false } = {}) {
+  if (!token || typeof token !== "string" || !token.includes(".")) {
+    throw quoteError("A valid price quote is required");
+  }
+  const [encoded, signature] = token.split(".");
+  const expected = sign(encoded);
+  const valid =
+    typeof signature === "string" &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) throw quoteError("Price quote signature is invalid");
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch (_) {
+    throw quoteError("Price quote is malformed");
+  }
+  if (quote.v !== QUOTE_VERSION) throw quoteError("Price quote version is no longer supported");
+  if (!allowExpired && Date.now() > quote.expiresAt) {
+    throw quoteError("Price quote has expired. Please refresh the price and try again.");
+  }
+  return quote;
+}
+
+// Throws unless the order being placed is the one the quote priced.
+function assertQuoteMatches(quote, printSettings) {
+  if (quote.shopId !== printSettings.shopId) {
+    throw quoteError("Price quote was issued for a different shop");
+  }
+  if (quote.serviceId && printSettings.serviceId && quote.serviceId !== printSettings.serviceId) {
+    throw quoteError("Price quote was issued for a different service");
+  }
+  if (quote.filesDigest !== filesDigest(printSettings.files, quote.paperSize)) {
+    throw quoteError("Order files do not match the quoted files");
+  }
+  // The customer's cover page choice, resolved the way priceFiles resolved it.
+  const coverPage = coverPageFor(quote.totalPrintablePages, {
+    requested: printSettings.generateCoverPage,
+    serviceId: quote.serviceId,
+  });
+  if (coverPage.generateCoverPage !== !!quote.generateCoverPage) {
+    throw quoteError("Order cover page choice does not match the quote");
+  }
+  const binding = normalizeBinding(printSettings.binding);
+  const quoted = quote.binding || null;
+  if (JSON.stringify(binding) !== JSON.stringify(quoted && { type: quoted.type, quantity: quoted.quantity })) {
+    throw quoteError("Order binding does not match the quoted binding");
+  }
+  if (JSON.stringify(normalizeImageLayout(printSettings.imageLayout)) !== JSON.stringify(quote.imageLayout || null)) {
+    throw quoteError("Order image layout does not match the quoted layout");
+  }
+  if (quote.passportPhoto &&
+      JSON.stringify(normalizePassportPhoto(printSettings.passportPhoto)) !== JSON.stringify(quote.passportPhoto)) {
+    throw quoteError("Order passport photo options do not match the quoted options");
+  }
+}
+
+// Breakdown in the shape createOrder stores, rebuilt from a redeemed quote.
+function breakdownFromQuote(quote) {
+  return {
+    rulesVersion: quote.rulesVersion,
+    paperSize: quote.paperSize,
+    lineItems: quote.lineItems,
+    printingCost: quote.printingCost,
+    platformCommission: quote.platformCommission,
+    extraPageFee: quote.extraPageFee,
+    platformFee: quote.platformFee,
+    generateCoverPage: quote.generateCoverPage,
+    coverPageCharge: quote.coverPageCharge,
+    binding: quote.binding || null,
+    bindingCost: quote.bindingCost || 0,
+    imageLayout: quote.imageLayout || null,
+    passportPhoto: quote.passportPhoto || null,
+    totalPrintablePages: quote.totalPrintablePages,
+    totalAmount: quote.totalAmount,
+    shopPricingUsed: quote.shopPricingSnapshot,
+    commissionType: quote.commissionType,
+    commissionValue: quote.commissionValue,
+    quoteId: quote.quoteId,
+  };
+}
+
+module.exports = {
+  QUOTE_TTL_MS,
+  filesDigest,
+  issueQuote,
+  verifyQuote,
+  assertQuoteMatches,
+  breakdownFromQuote,
+};
@@ -0,0 +1,310 @@
+const crypto = require("crypto");
+const { dbCustomer, admin } = require("./firebase");
+const {
+  getPaymentIntent,
+  findPaymentIntentByPaymentId,
+  updatePaymentIntent,
+  createPaidOrderOnce,
+  findOrderForIntent,
+} = require("./payment_service");
+const { applyRefundWebhook } = require("./refund_service");
+const { applyTopUp } = require("./top_up_service");
+
+/**
+ * Razorpay webhook receiver (POST /webhooks/razorpay).
+ *
+ * Razorpay is the source of truth for money movement; /verify-payment only learns about a
+ * payment if the app survives long enough to call it. This receiver closes that gap:
+ * every capture, failure and refund is reconciled against the order linked through the
+ * payment intent (see payment_service.js), and a capture with no order is turned into
+ * one from the checkout context stored on the intent.
+ *
+ * Razorpay retries any non-2xx response with backoff, so a failure here is answered with
+ * 5xx on purpose — the event will come back.
+ */
+
+const EVENTS_COLLECTION = "razorpay_webhook_events";
+
+// How long a capture may sit without an order before the webhook creates one itself.
+// /verify-payment normally lands within seconds; deferring avoids racing it.
+const RECOVERY_GRACE_MS = 5 * 60 * 1000;
+
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || typeof signature !== "string" || !secret) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+// Thrown to make Razorpay redeliver the event later rather than acknowledging it now.
+function deferredError(message) {
+  const err = new Error(message);
+  err.deferred = true;
+  return err;
+}
+
+// Thrown for a payload no redelivery will fix; the event is recorded and acknowledged.
+function malformedError(message) {
+  const err = new Error(message);
+  err.malformed = true;
+  return err;
+}
+
+// The `payment` / `refund` entity of an event, which every handled event must carry.
+function entityOf(event, kind) {
+  const wrapper = event.payload && event.payload[kind];
+  const entity = wrapper && wrapper.entity;
+  if (!entity || typeof entity !== "object" || !entity.id) {
+    throw malformedError(`${event.event} without a ${kind} entity`);
+  }
+  return entity;
+}
+
+async function reconcileCapture(payment, eventName) {
+  const razorpayOrderId = payment.order_id;
+  if (!razorpayOrderId) {
+    console.warn(`⚠️ [WEBHOOK] ${eventName} for ${payment.id} has no order_id; nothing to reconcile.`);
+    return;
+  }
+
+  const intent = await getPaymentIntent(razorpayOrderId);
+  const amountMismatch = intent && intent.amountPaise && Number(payment.amount) !== intent.amountPaise;
+  if (amountMismatch) {
+    console.error(`❌ [WEBHOOK] Captured ${payment.amount} paise for ${razorpayOrderId}, intent expected ${intent.amountPaise}`);
+  }
+
+  const { doc, db } = await findOrderForIntent(intent);
+  if (intent && intent.purpose === "top_up") {
+    return reconcileTopUp(payment, intent, doc && doc.exists ? db.collection("xerox_orders").doc(doc.id) : null);
+  }
+  if (doc && doc.exists) {
+    const data = doc.data();
+    if (data.razorpayPaymentId && data.razorpayPaymentId !== payment.id) {
+      console.error(`❌ [WEBHOOK] Order ${doc.id} is already paid by ${data.razorpayPaymentId}; ${payment.id} is a second capture.`);
+      await updatePaymentIntent(razorpayOrderId, {
+        needsReconciliation: true,
+        reconciliationReason: `duplicate capture ${payment.id}`,
+      });
+      return;
+    }
+    await db.collection("xerox_orders").doc(doc.id).update({
+      razorpayPaymentId: payment.id,
+      paymentStatus: "PAID",
+      paymentCapturedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await updatePaymentIntent(razorpayOrderId, {
+      status: "captured",
+      paymentId: payment.id,
+      ...(amountMismatch ? { needsReconciliation: true, reconciliationReason: "amount mismatch" } : {}),
+    });
+    console.log(`✅ [WEBHOOK] ${eventName}: order ${doc.id} confirmed paid (${payment.id}).`);
+    return;
+  }
+
+  const capturedAtMs = Number(payment.created_at) * 1000;
+  if (capturedAtMs && Date.now() - capturedAtMs < RECOVERY_GRACE_MS) {
+    throw deferredError(`No order yet for ${razorpayOrderId}; waiting for /verify-payment`);
+  }
+
+  if (intent && intent.checkout && !amountMismatch) {
+    console.warn(`🛟 [WEBHOOK] Recovering order for captured payment ${payment.id} (${razorpayOrderId})...`);
+    let recovered;
+    try {
+      recovered = await createPaidOrderOnce({
+        ...intent.checkout,
+        razorpayOrderId,
+        razorpayPaymentId: payment.id,
+        capturedAmountPaise: Number(payment.amount),
+        quote: intent.quote || null,
+        amount: Number(payment.amount) / 100,
+      });
+    } catch (err) {
+      // The payment is bound to a different Razorpay order: no retry changes that.
+      if (err.status === 409 && err.permanent) {
+        await updatePaymentIntent(razorpayOrderId, {
+          needsReconciliation: true,
+          reconciliationReason: err.message,
+          conflictingPaymentId: payment.id,
+        });
+        console.error(`❌ [WEBHOOK] ${payment.id} cannot be recovered for ${razorpayOrderId}: ${err.message}`);
+        return;
+      }
+      // A /verify-payment call holding the claim right now will finish the job.
+      if (err.status === 409) throw deferredError(err.message);
+      // Underpaid or off-quote checkout: the intent is flagged for an operator; acknowledge.
+      if (err.status === 400) {
+        await updatePaymentIntent(razorpayOrderId, {
+          needsReconciliation: true,
+          reconciliationReason: err.message,
+        });
+        return;
+      }
+      throw err;
+    }
+    if (recovered.replayed) return;
+    await updatePaymentIntent(razorpayOrderId, { status: "recovered", recoveredBy: "webhook" });
+    console.log(`✅ [WEBHOOK] Recovered order ${recovered.orderId} on ${recovered.projectId}.`);
+    return;
+  }
+
+  // Captured money with no way to build the order: leave a record an operator can refund.
+  await updatePaymentIntent(razorpayOrderId, {
+    status: "captured",
+    paymentId: payment.id,
+    capturedAmountPaise: Number(payment.amount),
+    needsReconciliation: true,
+    reconciliationReason: amountMismatch ? "amount mismatch" : "captured without order",
+  });
+  console.error(`❌ [WEBHOOK] Payment ${payment.id} captured but no order could be created for ${razorpayOrderId}.`);
+}
+
+// A page-count top-up (top_up_service.js) paid without its /top-up/verify call.
+async function reconcileTopUp(payment, intent, orderRef) {
+  if (!orderRef) {
+    await updatePaymentIntent(intent.razorpayOrderId, {
+      status: "captured",
+      paymentId: payment.id,
+      needsReconciliation: true,
+      reconciliationReason: "top-up captured for a missing order",
+    });
+    console.error(`❌ [WEBHOOK] Top-up ${payment.id} captured but order ${intent.orderId} is gone.`);
+    return;
+  }
+  try {
+    await applyTopUp(orderRef, { razorpayOrderId: intent.razorpayOrderId, paymentId: payment.id });
+    console.log(`✅ [WEBHOOK] Top-up ${payment.id} applied to order ${orderRef.id}.`);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    // A superseded top-up (the files were re-uploaded) was paid anyway: refund by hand.
+    await updatePaymentIntent(intent.razorpayOrderId, {
+      status: "captured",
+      paymentId: payment.id,
+      needsReconciliation: true,
+      reconciliationReason: err.message,
+    });
+    console.error(`❌ [WEBHOOK] Top-up ${payment.id} for order ${orderRef.id} not applied: ${err.message}`);
+  }
+}
+
+async function handlePaymentFailed(payment) {
+  if (!payment.order_id) return;
+  const intent = await getPaymentIntent(payment.order_id);
+  await updatePaymentIntent(payment.order_id, {
+    status: intent && intent.orderId ? intent.status : "failed",
+    lastFailedPaymentId: payment.id,
+    lastFailureReason: payment.error_description || payment.error_code || null,
+  });
+
+  const { doc, db } = await findOrderForIntent(intent);
+  if (doc && doc.exists && doc.data().paymentStatus !== "PAID") {
+    await db.collection("xerox_orders").doc(doc.id).update({ paymentStatus: "FAILED" });
+  }
+  console.log(`⚠️ [WEBHOOK] payment.failed recorded for ${payment.id} (${payment.order_id}).`);
+}
+
+async function handleRefundProcessed(refund) {
+  await applyRefundWebhook(refund, "processed");
+
+  const intent = await findPaymentIntentByPaymentId(refund.payment_id);
+  if (intent) {
+    await updatePaymentIntent(intent.razorpayOrderId, {
+      lastRefundId: refund.id,
+      refundedAmountPaise: admin.firestore.FieldValue.increment(Number(refund.amount) || 0),
+    });
+  }
+
+  const { doc, db } = await findOrderForIntent(intent);
+  if (!doc || !doc.exists) {
+    // Purged orders are refunded and then deleted, so this is the common case.
+    console.log(`ℹ️ [WEBHOOK] refund.processed ${refund.id} for ${refund.payment_id}: no live order to update.`);
+    return;
+  }
+  await db.collection("xerox_orders").doc(doc.id).update({
+    refundStatus: "processed",
+    lastRazorpayRefundId: refund.id,
+    refundedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`✅ [WEBHOOK] refund.processed ${refund.id} recorded on order ${doc.id}.`);
+}
+
+// The refund's amount becomes refundable again on its order (see refund_service.js).
+async function handleRefundFailed(refund) {
+  const refundRecordId = await applyRefundWebhook(refund, "failed");
+  console.error(`❌ [WEBHOOK] refund.failed ${refund.id} for ${refund.payment_id}` +
+    (refundRecordId ? ` (refund record ${refundRecordId}).` : ": not in the refund ledger."));
+}
+
+async function dispatchEvent(event) {
+  switch (event.event) {
+    case "payment.captured":
+      return reconcileCapture(entityOf(event, "payment"), event.event);
+    case "order.paid":
+      return reconcileCapture(entityOf(event, "payment"), event.event);
+    case "payment.failed":
+      return handlePaymentFailed(entityOf(event, "payment"));
+    case "refund.processed":
+      return handleRefundProcessed(entityOf(event, "refund"));
+    case "refund.failed":
+      return handleRefundFailed(entityOf(event, "refund"));
+    default:
+      console.log(`ℹ️ [WEBHOOK] Ignoring unsubscribed event ${event.event}`);
+  }
+}
+
+async function handleRazorpayWebhook(req, res) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error("❌ RAZORPAY_WEBHOOK_SECRET is not configured; rejecting webhook.");
+    return res.status(503).json({ error: "Webhook receiver is not configured" });
+  }
+
+  if (!verifyWebhookSignature(req.rawBody, req.headers["x-razorpay-signature"], secret)) {
+    console.warn("⚠️ [WEBHOOK] Rejected event with an invalid signature");
+    return res.status(400).json({ error: "Invalid signature" });
+  }
+
+  const event = req.body || {};
+  const eventId = req.headers["x-razorpay-event-id"] || null;
+  const eventRef = eventId ? dbCustomer.collection(EVENTS_COLLECTION).doc(String(eventId)) : null;
+
+  try {
+    // Razorpay delivers at least once; a processed event id is acknowledged without work.
+    if (eventRef && (await eventRef.get()).exists) {
+      return res.json({ success: true, duplicate: true });
+    }
+
+    console.log(`📨 [WEBHOOK] ${event.event} (${eventId || 'no event id'})`);
+    await dispatchEvent(event);
+
+    if (eventRef) {
+      await eventRef.set({
+        event: event.event,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    if (err.deferred) {
+      console.log(`⏳ [WEBHOOK] Deferred ${event.event}: ${err.message}`);
+      return res.status(503).json({ success: false, deferred: true });
+    }
+    if (err.malformed) {
+      // Signed by Razorpay but unusable: keep it for an operator instead of a retry loop.
+      console.error(`❌ [WEBHOOK] Malformed ${event.event} (${eventId || 'no event id'}): ${err.message}`);
+      const record = {
+        event: event.event || null,
+        malformed: true,
+        error: err.message,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await (eventRef || dbCustomer.collection(EVENTS_COLLECTION).doc()).set(record).catch(() => null);
+      return res.json({ success: true, ignored: true });
+    }
+    console.error(`❌ [WEBHOOK] Failed to process ${event.event}:`, err.message);
+    res.status(500).json({ success: false, error: "Webhook processing failed" });
+  }
+}
+
+module.exports = { handleRazorpayWebhook, verifyWebhookSignature };
@@ -0,0 +1,270 @@
+const { dbCustomer, findCustomerOrder, admin } = require("./firebase");
+const razorpayInstance = require("./razorpay");
+
+/**
+ * Refunds.
+ *
+ * Every refund goes through refundOrder, keyed by the order rather than by an amount
+ * someone supplies: the ceiling is the order's stored `totalPaid` (what Razorpay
+ * captured), less what earlier refunds already returned. Partial refunds (a file that
+ * could not be printed, fewer pages than paid for, a cancellation fee kept back) are
+ * refunds of less than the remainder.
+ *
+ * An order may have been paid with more than one Razorpay payment: the checkout payment and
+ * any page-count top-ups (see top_up_service.js). Razorpay refunds each payment separately
+ * and never beyond what it captured, so a refund is split across them, checkout payment
+ * first. The order carries a running `refundedAmount` and its split per payment
+ * (`refundedByPayment`), reserved in a transaction before Razorpay is called, so two refunds
+ * racing each other cannot together exceed a payment. Each Razorpay refund is recorded in
+ * the `refunds` collection (customer project 1, beside
+ * payment_intents, since orders live on any of three projects):
+ *
+ *   { orderId, paymentId, amount, reason, kind, actor, status, razorpayRefundId,
+ *     error, createdAt, updatedAt }
+ *
+ * status: pending (Razorpay not answered yet) -> initiated -> processed | failed. The
+ * last two arrive through the Razorpay webhook (applyRefundWebhook). A refund that fails
+ * gives its amount back to the order's refundable remainder.
+ */
+
+const REFUNDS_COLLECTION = "refunds";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Orders refunded before the ledger existed only recorded the page-count refund.
+function refundedAmountOf(orderData) {
+  if (orderData.refundedAmount != null) return Number(orderData.refundedAmount) || 0;
+  const check = orderData.pageCountCheck || {};
+  return check.refundId ? Number(check.refundAmount) || 0 : 0;
+}
+
+// Orders refunded before top-ups existed have everything refunded on the checkout payment.
+function refundedFrom(orderData, paymentId) {
+  if (orderData.refundedByPayment) return Number(orderData.refundedByPayment[paymentId]) || 0;
+  return paymentId === orderData.razorpayPaymentId ? refundedAmountOf(orderData) : 0;
+}
+
+// The Razorpay payments that moved money for an order, each with what it captured.
+function paymentsOf(orderData) {
+  const topUps = orderData.topUpPayments || [];
+  const topUpTotal = topUps.reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+  const paid = Number(orderData.totalPaid ?? orderData.amount) || 0;
+  return [
+    { paymentId: orderData.razorpayPaymentId, captured: round2(paid - topUpTotal) },
+    ...topUps.map((t) => ({ paymentId: t.paymentId, captured: Number(t.amount) || 0 })),
+  ].filter((p) => p.paymentId && !p.paymentId.startsWith("pay_admin_"));
+}
+
+/**
+ * What is left to refund on an order, in rupees.
+ */
+function refundableAmount(orderData) {
+  const paid = Number(orderData.totalPaid ?? orderData.amount) || 0;
+  return Math.max(0, round2(paid - refundedAmountOf(orderData)));
+}
+
+/**
+ * The charged amount of some of an order's files (indices into printSettings.files),
+ * from its server-priced line items: print cost, commission and extra-page fee.
+ */
+function filesRefundAmount(orderData, fileIndices) {
+  const lineItems = orderData.pricingLineItems || [];
+  return round2(fileIndices.reduce((sum, i) => {
+    const item = lineItems[i];
+    if (!item) return sum;
+    return sum + (Number(item.printCost) || 0) + (Number(item.commission) || 0) + (Number(item.extraPageFee) || 0);
+  }, 0));
+}
+
+function refundError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Refunds `amount` rupees of an order (the whole refundable remainder when omitted),
+ * capped at that remainder. `kind` names the cause for reporting: cancellation,
+ * page_shortfall, processing_failure, file_failure, expired or admin.
+ *
+ * Returns { refundId, refundRecordId, amount, status, refunds }: the (first) Razorpay refund
+ * id and ledger entry, the amount refunded and, in `refunds`, one entry per payment
+ * refunded. Payments that moved no money (admin bypass) are not refunded and come back with
+ * status `skipped`. Throws a 409 when nothing is left to refund. A Razorpay error is
+ * recorded as a failed refund; it is rethrown when nothing could be refunded, and returned
+ * as `error` alongside the refunds that did go through.
+ */
+async function refundOrder(orderRef, { amount = null, reason, kind = "admin", actor = { type: "system", id: null } } = {}) {
+  const orderId = orderRef.id;
+
+  // Reserve the amount on the order first, so concurrent refunds cannot overshoot it.
+  const reserved = await orderRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists) throw refundError(404, "Order not found");
+    const orderData = snap.data();
+    const payments = paymentsOf(orderData);
+    if (payments.length === 0) return { skipped: true, paymentId: orderData.razorpayPaymentId };
+
+    const remaining = refundableAmount(orderData);
+    if (remaining <= 0) throw refundError(409, "This order has nothing left to refund");
+    const requested = amount == null ? remaining : round2(Number(amount));
+    if (!(requested > 0)) throw refundError(400, "Refund amount must be positive");
+
+    let left = Math.min(requested, remaining);
+    const allocations = [];
+    const refundedByPayment = { ...(orderData.refundedByPayment || {}) };
+    for (const payment of payments) {
+      const already = refundedFrom(orderData, payment.paymentId);
+      const share = round2(Math.min(left, payment.captured - already));
+      refundedByPayment[payment.paymentId] = round2(already + Math.max(0, share));
+      if (share <= 0) continue;
+      allocations.push({ paymentId: payment.paymentId, amount: share });
+      left = round2(left - share);
+    }
+    const granted = round2(allocations.reduce((sum, a) => sum + a.amount, 0));
+    if (granted <= 0) throw refundError(409, "This order has nothing left to refund");
+
+    tx.update(orderRef, {
+      refundedAmount: round2(refundedAmountOf(orderData) + granted),
+      refundedByPayment,
+    });
+    return { skipped: false, allocations };
+  });
+
+  if (reserved.skipped) {
+    console.log(`🛡️ Refund skipped for ${orderId}: ${reserved.paymentId ? "admin bypass payment" : "no payment"}.`);
+    return { refundId: null, refundRecordId: null, amount: 0, status: "skipped", refunds: [] };
+  }
+
+  const refunds = [];
+  let firstError = null;
+  for (const allocation of reserved.allocations) {
+    try {
+      refunds.push(await refundPayment(orderRef, allocation, { reason, kind, actor }));
+    } catch (err) {
+      firstError = firstError || err;
+    }
+  }
+  if (refunds.length === 0) throw firstError;
+
+  return {
+    refundId: refunds[0].refundId,
+    refundRecordId: refunds[0].refundRecordId,
+    amount: round2(refunds.reduce((sum, r) => sum + r.amount, 0)),
+    status: "initiated",
+    refunds,
+    ...(firstError ? { error: firstError.message } : {}),
+  };
+}
+
+// One Razorpay refund against one payment, with its ledger entry. The amount is already
+// reserved on the order; a failure gives it back.
+async function refundPayment(orderRef, { paymentId, amount }, { reason, kind, actor }) {
+  const orderId = orderRef.id;
+  const entryRef = dbCustomer.collection(REFUNDS_COLLECTION).doc();
+  await entryRef.set({
+    orderId,
+    paymentId,
+    amount,
+    reason: reason || null,
+    kind,
+    actor: { type: actor.type || "system", id: actor.id || null },
+    status: "pending",
+    razorpayRefundId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  let refund;
+  try {
+    console.log(`💸 Refunding ₹${amount} of ${paymentId} for ${orderId} (${kind})...`);
+    refund = await razorpayInstance.payments.refund(paymentId, {
+      amount: Math.round(amount * 100),
+      // Lets the webhook find this ledger entry
+      notes: { orderId, refundRecordId: entryRef.id, reason: String(reason || kind).slice(0, 250) },
+    });
+  } catch (err) {
+    console.error(`❌ Refund failed for ${orderId}: ${err.message}`);
+    await entryRef.update({
+      status: "failed",
+      error: err.message || String(err),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await releaseReservation(orderRef, amount, paymentId);
+    throw err;
+  }
+
+  // The webhook can record the outcome before Razorpay's answer gets here; only a pending
+  // entry moves to initiated, so a processed or failed status is never overwritten.
+  await entryRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(entryRef);
+    tx.update(entryRef, {
+      ...(snap.data().status === "pending" ? { status: "initiated" } : {}),
+      razorpayRefundId: refund.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  console.log(`✅ Refund ${refund.id} initiated for ${orderId}.`);
+  return { refundId: refund.id, refundRecordId: entryRef.id, paymentId, amount };
+}
+
+async function releaseReservation(orderRef, amount, paymentId) {
+  await orderRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists) return;
+    const orderData = snap.data();
+    const updates = { refundedAmount: Math.max(0, round2(refundedAmountOf(orderData) - amount)) };
+    if (paymentId) {
+      updates.refundedByPayment = {
+        ...(orderData.refundedByPayment || {}),
+        [paymentId]: Math.max(0, round2(refundedFrom(orderData, paymentId) - amount)),
+      };
+    }
+    tx.update(orderRef, updates);
+  }).catch((err) => console.error(`⚠️ Could not release refund reservation on ${orderRef.id}: ${err.message}`));
+}
+
+/**
+ * Records a Razorpay refund.processed / refund.failed event on its ledger entry; a failed
+ * refund gives its amount back to the order. Returns the ledger entry id, or null for
+ * refunds made outside refundOrder.
+ */
+async function applyRefundWebhook(refund, status) {
+  let entryRef = null;
+  const recordId = refund.notes && refund.notes.refundRecordId;
+  if (recordId) {
+    entryRef = dbCustomer.collection(REFUNDS_COLLECTION).doc(recordId);
+  } else {
+    const snap = await dbCustomer.collection(REFUNDS_COLLECTION)
+      .where("razorpayRefundId", "==", refund.id).limit(1).get();
+    if (!snap.empty) entryRef = snap.docs[0].ref;
+  }
+  if (!entryRef) return null;
+
+  const entrySnap = await entryRef.get();
+  if (!entrySnap.exists) return null;
+  const entry = entrySnap.data();
+  if (entry.status === status) return entryRef.id; // webhook redelivery
+
+  await entryRef.update({
+    status,
+    razorpayRefundId: refund.id,
+    ...(status === "failed" ? { error: refund.error_description || "Refund failed at Razorpay" } : {}),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  if (status === "failed" && entry.status !== "failed") {
+    const { doc } = await findCustomerOrder(entry.orderId);
+    if (doc && doc.exists) await releaseReservation(doc.ref, Number(entry.amount) || 0, entry.paymentId);
+  }
+  return entryRef.id;
+}
+
+module.exports = {
+  REFUNDS_COLLECTION,
+  refundableAmount,
+  refundedAmountOf,
+  filesRefundAmount,
+  refundOrder,
+  applyRefundWebhook,
+};
@@ -0,0 +1,316 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * File storage.
+ *
+ * Every upload, download, signed link and deletion in the order pipeline goes through the
+ * driver selected by STORAGE_DRIVER:
+ *
+ *   cloudinary (default)  the production accounts (see cloudinary.js)
+ *   local                 files on disk under LOCAL_STORAGE_DIR (default: upload.js's
+ *                         uploads/ directory), served by GET /files/* with signed,
+ *                         expiring links. For development and tests: no Cloudinary
+ *                         account is needed.
+ *
+ * Files are addressed by public id ("xerox_processed_orders/123456_1") plus the URL they
+ * were stored under. Both drivers implement:
+ *
+ *   put(buffer, { folder, publicId, format, resourceType, alongside }) -> { url, publicId }
+ *   get(url, publicId, { maxBytes })    -> { buffer, contentType, isPdf, publicId, resourceType }
+ *   isStorageUrl(url)                   -> whether the URL is one this driver stores files at
+ *   signedUrl(url, { publicId, downloadName })
+ *   exists(url, publicId)
+ *   makePublic(publicIds, { alongside })
+ *   delete(publicIds, { alongside })
+ *   deleteByPrefix(prefix, { alongside })
+ *   list(prefix)                        -> [publicId]
+ *
+ * `alongside` is a URL of an existing order file; with Cloudinary it keeps the operation
+ * on the account that file lives on. `get` fails with a 413 error for a file larger than
+ * `maxBytes`; URLs that come from clients are checked with isStorageUrl first.
+ */
+
+// ============================================================================
+// CLOUDINARY DRIVER
+// ============================================================================
+function createCloudinaryDriver() {
+    // Loaded lazily: cloudinary.js refuses to load without account B's credentials, which
+    // a local-disk setup does not have.
+    const {
+        cloudinary, configB, getConfigForUrl, getSignedUrl, isCloudinaryUrl, downloadAsset, uploadBuffer,
+    } = require("./cloudinary");
+    const axios = require("axios");
+
+    // Credentials of the account a URL lives on, passed with each call (see cloudinary.js).
+    const accountOf = (url) => getConfigForUrl(url);
+    const isPdfUrl = (url) => String(url || "").toLowerCase().includes(".pdf");
+
+    return {
+        name: "cloudinary",
+
+        async put(buffer, { folder, publicId, format = null, resourceType = "image", alongside = null }) {
+            const result = await uploadBuffer(buffer, {
+                folder,
+                publicId,
+                format,
+                resourceType,
+                config: alongside ? getConfigForUrl(alongside) : configB,
+            });
+            return { url: result.secure_url, publicId: result.public_id };
+        },
+
+        get(url, publicId = null, { maxBytes } = {}) {
+            return downloadAsset(url, publicId, { maxBytes });
+        },
+
+        isStorageUrl(url) {
+            return isCloudinaryUrl(url);
+        },
+
+        signedUrl(url, { publicId = null, downloadName = null } = {}) {
+            // Private download links expire, so a stored one is re-issued from its public id.
+            if (url && url.includes("api.cloudinary.com") && publicId) {
+                return cloudinary.utils.private_download_url(publicId, "pdf", {
+                    resource_type: "image", type: "upload", ...accountOf(url),
+                });
+            }
+            return getSignedUrl(url, configB, downloadName, publicId);
+        },
+
+        async exists(url, publicId) {
+            const probeUrl = cloudinary.utils.private_download_url(publicId, isPdfUrl(url) ? "pdf" : null, {
+                resource_type: String(url).includes("/raw/upload/") ? "raw" : "image",
+                type: "upload",
+                ...accountOf(url),
+            });
+            try {
+                const response = await axios.get(probeUrl, { responseType: "stream", timeout: 8000 });
+                response.data.destroy();
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        async makePublic(publicIds, { alongside = null } = {}) {
+            const account = accountOf(alongside);
+            await Promise.all(publicIds.flatMap((pid) => ["image", "raw"].map((type) =>
+                cloudinary.uploader.explicit(pid, {
+                    type: "upload",
+                    resource_type: type,
+                    access_mode: "public",
+                    invalidate: true,
+                    ...account,
+                }).catch(() => null) // an asset only exists under one of the two types
+            )));
+        },
+
+        async delete(publicIds, { alongside = null } = {}) {
+            if (publicIds.length === 0) return;
+            const account = accountOf(alongside);
+            await cloudinary.api.delete_resources(publicIds, { resource_type: "image", ...account }).catch(() => null);
+            await cloudinary.api.delete_resources(publicIds, { resource_type: "raw", ...account }).catch(() => null);
+        },
+
+        async deleteByPrefix(prefix, { alongside = null } = {}) {
+            const account = accountOf(alongside);
+            await cloudinary.api.delete_resources_by_prefix(prefix, account).catch(() => null);
+            await cloudinary.api.delete_folder(prefix, account).catch(() => null);
+        },
+
+        async list(prefix) {
+            const publicIds = [];
+            for (const type of ["image", "raw"]) {
+                let cursor;
+                do {
+                    const page = await cloudinary.api.resources({
+                        type: "upload", resource_type: type, prefix, max_results: 500, next_cursor: cursor, ...configB,
+                    }).catch(() => ({ resources: [] }));
+                    publicIds.push(...page.resources.map((r) => r.public_id));
+                    cursor = page.next_cursor;
+                } while (cursor);
+            }
+            return publicIds;
+        },
+    };
+}
+
+// ============================================================================
+// LOCAL DISK DRIVER
+// ============================================================================
+const CONTENT_TYPES = {
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+};
+
+const LOCAL_URL_PATH = "/files/";
+const LOCAL_LINK_TTL_MS = 60 * 60 * 1000;
+
+function createLocalDriver() {
+    const { UPLOAD_BASE_DIR } = require("./upload");
+    const root = path.resolve(process.env.LOCAL_STORAGE_DIR || UPLOAD_BASE_DIR);
+    const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "");
+    // Without a configured secret links stop verifying on restart, which is fine for development.
+    const secret = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+
+    // Absolute path for a stored file's relative path, refusing anything outside the root.
+    const resolveInRoot = (relative) => {
+        const full = path.resolve(root, relative);
+        if (full !== root && !full.startsWith(root + path.sep)) {
+            const err = new Error("Invalid storage path");
+            err.status = 400;
+            throw err;
+        }
+        return full;
+    };
+
+    // Relative path ("folder/name.pdf") from a /files/ URL, ignoring any signature.
+    const relativeFromUrl = (url) => {
+        const pathname = new URL(url, baseUrl).pathname;
+        if (!pathname.startsWith(LOCAL_URL_PATH)) return null;
+        return decodeURIComponent(pathname.slice(LOCAL_URL_PATH.length));
+    };
+
+    const stripExtension = (relative) => relative.replace(/\.[^/.]+$/, "");
+
+    // Stored path for a public id, which carries no extension.
+    const locate = (publicId) => {
+        const full = resolveInRoot(publicId);
+        if (fs.existsSync(full) && fs.statSync(full).isFile()) return full;
+        const dir = path.dirname(full);
+        if (!fs.existsSync(dir)) return null;
+        const match = fs.readdirSync(dir).find((name) => stripExtension(name) === path.basename(full));
+        return match ? path.join(dir, match) : null;
+    };
+
+    const walk = (dir) => {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+            const full = path.join(dir, entry.name);
+            return entry.isDirectory() ? walk(full) : [full];
+        });
+    };
+    const publicIdOf = (full) => stripExtension(path.relative(root, full).split(path.sep).join("/"));
+
+    const sign = (relative, expires) =>
+        crypto.createHmac("sha256", secret).update(`${relative}:${expires}`).digest("base64url");
+
+    const driver = {
+        name: "local",
+        root,
+
+        async put(buffer, { folder, publicId, format = null }) {
+            const id = folder ? `${folder}/${publicId}` : publicId;
+            const relative = format ? `${id}.${format}` : id;
+            const full = resolveInRoot(relative);
+            // Replace whatever was stored under this id before, as Cloudinary's overwrite does
+            const previous = locate(id);
+            if (previous && previous !== full) await fs.promises.unlink(previous).catch(() => null);
+            await fs.promises.mkdir(path.dirname(full), { recursive: true });
+            await fs.promises.writeFile(full, buffer);
+            return { url: `${baseUrl}${LOCAL_URL_PATH}${relative.split("/").map(encodeURIComponent).join("/")}`, publicId: id };
+        },
+
+        async get(url, publicId = null, { maxBytes = Infinity } = {}) {
+            const relative = relativeFromUrl(url);
+            const full = publicId ? locate(publicId) : relative && resolveInRoot(relative);
+            if (!full || !fs.existsSync(full)) {
+                const err = new Error(`Stored file not found: ${publicId || url}`);
+                err.status = 404;
+                throw err;
+            }
+            if ((await fs.promises.stat(full)).size > maxBytes) {
+                const err = new Error(`File is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+                err.status = 413;
+                throw err;
+            }
+            const contentType = CONTENT_TYPES[path.extname(full).toLowerCase()] || "application/octet-stream";
+            return {
+                buffer: await fs.promises.readFile(full),
+                contentType,
+                isPdf: contentType === "application/pdf",
+                publicId: publicIdOf(full),
+                resourceType: "image",
+            };
+        },
+
+        isStorageUrl(url) {
+            try {
+                const parsed = new URL(String(url));
+                return parsed.origin === new URL(baseUrl).origin && parsed.pathname.startsWith(LOCAL_URL_PATH);
+            } catch (_) {
+                return false;
+            }
+        },
+
+        signedUrl(url, { publicId = null, downloadName = null } = {}) {
+            let relative = url ? relativeFromUrl(url) : null;
+            if (!relative && publicId) {
+                const full = locate(publicId);
+                if (full) relative = path.relative(root, full).split(path.sep).join("/");
+            }
+            if (!relative) return url;
+            const expires = Date.now() + LOCAL_LINK_TTL_MS;
+            const query = new URLSearchParams({ expires: String(expires), sig: sign(relative, expires) });
+            if (downloadName) query.set("name", downloadName);
+            return `${baseUrl}${LOCAL_URL_PATH}${relative.split("/").map(encodeURIComponent).join("/")}?${query}`;
+        },
+
+        async exists(url, publicId) {
+            return Boolean(publicId ? locate(publicId) : fs.existsSync(resolveInRoot(relativeFromUrl(url) || "")));
+        },
+
+        async makePublic() {
+            // Local files are only ever served through signed links.
+        },
+
+        async delete(publicIds) {
+            for (const pid of publicIds) {
+                const full = locate(pid);
+                if (full) await fs.promises.unlink(full).catch(() => null);
+            }
+        },
+
+        async deleteByPrefix(prefix) {
+            for (const full of walk(root)) {
+                if (publicIdOf(full).startsWith(prefix)) await fs.promises.unlink(full).catch(() => null);
+            }
+        },
+
+        async list(prefix) {
+            return walk(root).map(publicIdOf).filter((pid) => pid.startsWith(prefix));
+        },
+
+        /**
+         * Checks a /files/ request's link and returns the file to send, or null when the
+         * link is invalid or has expired.
+         */
+        verifyRequest(relative, { expires, sig }) {
+            if (!expires || !sig || Date.now() > Number(expires)) return null;
+            const expected = sign(relative, expires);
+            if (sig.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+                return null;
+            }
+            const full = resolveInRoot(relative);
+            return fs.existsSync(full) ? full : null;
+        },
+    };
+    return driver;
+}
+
+const DRIVERS = {
+    cloudinary: createCloudinaryDriver,
+    local: createLocalDriver,
+};
+
+const driverName = process.env.STORAGE_DRIVER || "cloudinary";
+if (!DRIVERS[driverName]) {
+    throw new Error(`Unknown STORAGE_DRIVER '${driverName}' (expected one of ${Object.keys(DRIVERS).join(", ")})`);
+}
+
+module.exports = DRIVERS[driverName]();
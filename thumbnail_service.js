@@ -0,0 +1,111 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+/**
+ * Print preview thumbnails.
+ *
+ * Shopkeepers used to open each full PDF on their phone just to see what they were about
+ * to print. After processing, /complete-order renders a small PNG of the first page of
+ * every processed file (every page, up to PREVIEW_MAX_PAGES, with PREVIEW_ALL_PAGES=true)
+ * and syncOrderToAdmin mirrors them as `previewUrls` for the dashboard's page strip.
+ *
+ * PDFs are rendered with poppler's `pdftoppm` (PDFTOPPM_PATH overrides the binary);
+ * images are scaled with sharp.
+ */
+
+const THUMBNAIL_WIDTH = 300;
+const RENDER_TIMEOUT_MS = 30 * 1000;
+const MAX_PAGES = Number(process.env.PREVIEW_MAX_PAGES) || 20;
+
+function runPdftoppm(args) {
+    const binary = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    return new Promise((resolve, reject) => {
+        execFile(binary, args, { timeout: RENDER_TIMEOUT_MS, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+            if (!error) return resolve();
+            if (error.code === 'ENOENT') return reject(new Error('pdftoppm is not installed'));
+            reject(new Error(`pdftoppm failed: ${stderr || error.message}`));
+        });
+    });
+}
+
+/**
+ * PNG thumbnails of a PDF's pages, in page order: the first page, or the first
+ * `maxPages` pages when `allPages` is set.
+ */
+async function renderPdfThumbnails(buffer, { allPages = false, maxPages = MAX_PAGES } = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zikrint-preview-'));
+    try {
+        const inputPath = path.join(workDir, 'source.pdf');
+        await fs.promises.writeFile(inputPath, buffer);
+        await runPdftoppm([
+            '-png',
+            '-scale-to-x', String(THUMBNAIL_WIDTH),
+            '-scale-to-y', '-1',
+            '-f', '1',
+            '-l', String(allPages ? maxPages : 1),
+            inputPath,
+            path.join(workDir, 'page'),
+        ]);
+
+        // pdftoppm names pages page-1.png or page-01.png depending on the page count
+        const names = (await fs.promises.readdir(workDir))
+            .filter(name => /^page-\d+\.png$/.test(name))
+            .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+        return Promise.all(names.map(name => fs.promises.readFile(path.join(workDir, name))));
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => null);
+    }
+}
+
+async function renderImageThumbnail(buffer) {
+    return sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Renders and uploads thumbnails for an order's processed files. `labels` name each file
+ * as in printSequence ('coverPage', 'file1', ...).
+ *
+ * Returns { previewUrls: [{ item, urls }], publicIds }. A file that fails to render is
+ * left out rather than failing the order.
+ */
+async function createPreviews({ orderCode, fileUrls, publicIds = [], labels = [], allPages = process.env.PREVIEW_ALL_PAGES === 'true' }) {
+    const previewUrls = [];
+    const previewPublicIds = [];
+
+    for (let i = 0; i < fileUrls.length; i++) {
+        const item = labels[i] || `file${i + 1}`;
+        try {
+            const asset = await storage.get(fileUrls[i], publicIds[i] || null);
+            const pngs = asset.isPdf
+                ? await renderPdfThumbnails(asset.buffer, { allPages })
+                : [await renderImageThumbnail(asset.buffer)];
+
+            const urls = [];
+            for (let p = 0; p < pngs.length; p++) {
+                const result = await storage.put(pngs[p], {
+                    folder: 'xerox_processed_orders',
+                    publicId: `${orderCode}_${item}_preview_${p + 1}`,
+                    format: 'png',
+                });
+                urls.push(storage.signedUrl(result.url, { publicId: result.publicId }));
+                previewPublicIds.push(result.publicId);
+            }
+            previewUrls.push({ item, urls });
+        } catch (err) {
+            console.error(`⚠️ Preview failed for ${orderCode} ${item}: ${err.message}`);
+        }
+    }
+
+    return { previewUrls, publicIds: previewPublicIds };
+}
+
+module.exports = { renderPdfThumbnails, renderImageThumbnail, createPreviews };
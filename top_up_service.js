@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const { dbCustomer, admin } = require("./firebase");
+const razorpayInstance = require("./razorpay");
+const { INTENTS_COLLECTION, updatePaymentIntent } = require("./payment_service");
+const { enqueueOrderProcessing } = require("./order_processing");
+
+/**
+ * Page-count top-ups.
+ *
+ * When the uploaded files cost more to print than was paid for (see checkPaidPages), the
+ * processing worker holds the order (status NEEDS_TOP_UP, processingStatus awaiting_top_up)
+ * with a `topUp` of the difference:
+ *
+ *   { amount, status: due | created | paid, razorpayOrderId, paymentId, files, lineItems }
+ *
+ * `files` and `lineItems` are the real pages the order prints once the top-up is paid. The
+ * customer pays through a second Razorpay order (POST /orders/:orderId/top-up, then
+ * /top-up/verify); the webhook applies a capture whose verify call never arrived. Paying
+ * adds the payment to `topUpPayments` and `totalPaid`, which refunds draw on (see
+ * refund_service.js), and queues the order for processing again. Re-uploading files that
+ * fit the payment clears the hold instead.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function topUpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Opens (or reopens) the Razorpay order for an order's due top-up. Throws a 409 when no
+ * top-up is due. Returns { razorpayOrderId, amount } with the amount in paise.
+ */
+async function requestTopUp(orderRef) {
+  const orderData = (await orderRef.get()).data();
+  const topUp = orderData.topUp;
+  if (orderData.status !== "NEEDS_TOP_UP" || !topUp || !(topUp.amount > 0) || topUp.status === "paid") {
+    throw topUpError(409, "This order has no top-up due");
+  }
+  const amountPaise = Math.round(topUp.amount * 100);
+  if (topUp.status === "created" && topUp.razorpayOrderId) {
+    return { razorpayOrderId: topUp.razorpayOrderId, amount: amountPaise };
+  }
+
+  const rzpOrder = await razorpayInstance.orders.create({
+    amount: amountPaise,
+    currency: "INR",
+    receipt: `topup_${orderRef.id}`.slice(0, 40),
+    notes: { orderId: orderRef.id, purpose: "top_up" },
+  });
+  // The intent ties the Razorpay order back to ours for the webhook, as at checkout.
+  await dbCustomer.collection(INTENTS_COLLECTION).doc(rzpOrder.id).set({
+    razorpayOrderId: rzpOrder.id,
+    amountPaise,
+    currency: rzpOrder.currency || "INR",
+    purpose: "top_up",
+    status: "created",
+    orderId: orderRef.id,
+    paymentId: null,
+    checkout: null,
+    quote: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await orderRef.update({
+    "topUp.status": "created",
+    "topUp.razorpayOrderId": rzpOrder.id,
+  });
+  console.log(`💳 Top-up of ₹${topUp.amount} opened for ${orderRef.id} (${rzpOrder.id}).`);
+  return { razorpayOrderId: rzpOrder.id, amount: amountPaise };
+}
+
+function verifyTopUpSignature(razorpayOrderId, razorpayPaymentId, signature) {
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest("hex");
+  const provided = String(signature || "");
+  return provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+/**
+ * Records a captured top-up payment on the order: the held order is released to print its
+ * real pages, and queued for processing when the worker held it. Idempotent; a second call
+ * for the same payment returns { replayed: true }. Throws a 409 when the Razorpay order is
+ * not this order's open top-up.
+ */
+async function applyTopUp(orderRef, { razorpayOrderId, paymentId }) {
+  const result = await orderRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(orderRef);
+    if (!snap.exists) throw topUpError(404, "Order not found");
+    const orderData = snap.data();
+    const topUp = orderData.topUp;
+    if (!topUp || topUp.razorpayOrderId !== razorpayOrderId) {
+      throw topUpError(409, "This payment is not for this order's top-up");
+    }
+    if (topUp.status === "paid") return { replayed: true, amount: topUp.amount };
+
+    tx.update(orderRef, {
+      status: "ACTIVE",
+      topUp: { ...topUp, status: "paid", paymentId, paidAt: admin.firestore.Timestamp.now() },
+      topUpAmount: admin.firestore.FieldValue.delete(),
+      topUpPayments: admin.firestore.FieldValue.arrayUnion({ paymentId, amount: topUp.amount }),
+      totalPaid: round2((Number(orderData.totalPaid ?? orderData.amount) || 0) + topUp.amount),
+      "printSettings.files": topUp.files,
+      pricingLineItems: topUp.lineItems,
+      "pageCountCheck.status": "topped_up",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {
+      replayed: false,
+      amount: topUp.amount,
+      held: orderData.processingStatus === "awaiting_top_up",
+      printMode: orderData.processingPrintMode,
+    };
+  });
+
+  await updatePaymentIntent(razorpayOrderId, { status: "captured", paymentId });
+  if (!result.replayed) {
+    console.log(`✅ Top-up ₹${result.amount} paid for ${orderRef.id} (${paymentId}).`);
+    if (result.held) {
+      // The payment is recorded either way; an order that left processing is left to an operator.
+      await enqueueOrderProcessing(orderRef, { printMode: result.printMode }).catch((err) => {
+        if (err.status !== 409) throw err;
+        console.warn(`⚠️ Topped-up order ${orderRef.id} not requeued: ${err.message}`);
+      });
+    }
+  }
+  return { replayed: result.replayed, amount: result.amount };
+}
+
+module.exports = { requestTopUp, verifyTopUpSignature, applyTopUp };
@@ -1,6 +1,7 @@
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 
 /* =================================================
    CONFIG
@@ -25,7 +26,9 @@ function sanitizeFilename(filename) {
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     try {
-      const { orderId } = req.body;
+      // POST /orders/:orderId/files carries the order in the path; body fields are only
+      // parsed when the client sends them ahead of the files.
+      const orderId = req.params.orderId || req.body.orderId;
 
       if (!orderId) {
         const err = new Error("orderId required for file upload");
@@ -36,7 +39,7 @@ const storage = multer.diskStorage({
       const dir = path.join(UPLOAD_BASE_DIR, orderId);
 
       // Extra safety check
-      if (!dir.startsWith(UPLOAD_BASE_DIR)) {
+      if (!dir.startsWith(UPLOAD_BASE_DIR + path.sep)) {
         const err = new Error("Invalid upload path");
         err.status = 400;
         return cb(err);
@@ -54,8 +57,9 @@ const storage = multer.diskStorage({
   },
 
   filename: (req, file, cb) => {
+    // Prefixed so two files with the same name in one request don't overwrite each other
     const safeName = sanitizeFilename(file.originalname);
-    cb(null, safeName);
+    cb(null, `${crypto.randomBytes(4).toString("hex")}_${safeName}`);
   },
 });
 
@@ -66,7 +70,13 @@ const storage = multer.diskStorage({
 function fileFilter(req, file, cb) {
   const ext = path.extname(file.originalname).toLowerCase();
 
-  const allowed = [".pdf", ".png", ".jpg", ".jpeg"];
+  // Office and text documents are converted to PDF after payment (conversion_service)
+  const allowed = [
+    ".pdf", ".png", ".jpg", ".jpeg",
+    ".doc", ".docx", ".odt", ".rtf", ".txt",
+    ".ppt", ".pptx", ".odp",
+    ".xls", ".xlsx", ".ods",
+  ];
   if (!allowed.includes(ext)) {
     const err = new Error("Unsupported file type");
     err.status = 400;
@@ -89,3 +99,5 @@ const upload = multer({
 });
 
 module.exports = upload;
+module.exports.UPLOAD_BASE_DIR = UPLOAD_BASE_DIR;
+module.exports.sanitizeFilename = sanitizeFilename;
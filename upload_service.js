@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const { preflightBuffer } = require('./preflight_service');
+const { CONVERTIBLE_EXTENSIONS } = require('./conversion_service');
+
+/**
+ * Direct uploads.
+ *
+ * POST /orders/:orderId/files receives an order's files through upload.js (multer writes
+ * them to uploads/<orderId>/), so the app no longer needs Cloudinary credentials or an
+ * unsigned preset. Every file is preflighted (see preflight_service) and, when all of them
+ * pass, stored under `xerox_orders/<orderCode>/` exactly where the app used to put them.
+ * The staged copies are always removed.
+ */
+
+/**
+ * Checks and stores the files multer received for an order, in the order they were sent
+ * (which must match printSettings.files).
+ *
+ * Returns { ok, files, fileUrls, publicIds }. `files` are the preflight results; when any
+ * has an error nothing is stored and `fileUrls`/`publicIds` are empty.
+ */
+async function storeOrderUploads({ orderCode, uploadedFiles }) {
+  try {
+    const results = [];
+    for (let i = 0; i < uploadedFiles.length; i++) {
+      const buffer = await fs.promises.readFile(uploadedFiles[i].path);
+      results.push(await preflightBuffer(buffer, { fileName: uploadedFiles[i].originalname }, i));
+    }
+    if (!results.every(r => r.ok)) {
+      return { ok: false, files: results, fileUrls: [], publicIds: [] };
+    }
+
+    const fileUrls = [];
+    const publicIds = [];
+    for (let i = 0; i < uploadedFiles.length; i++) {
+      const extension = path.extname(uploadedFiles[i].originalname).toLowerCase();
+      // Office documents are stored as raw files (converted after payment); raw public
+      // ids carry their extension.
+      const isRaw = CONVERTIBLE_EXTENSIONS.includes(extension);
+      const result = await storage.put(await fs.promises.readFile(uploadedFiles[i].path), {
+        folder: `xerox_orders/${orderCode}`,
+        publicId: isRaw ? `${orderCode}_${i + 1}${extension}` : `${orderCode}_${i + 1}`,
+        format: isRaw ? null : extension.slice(1),
+        resourceType: isRaw ? 'raw' : 'image',
+      });
+      fileUrls.push(result.url);
+      publicIds.push(result.publicId);
+    }
+
+    console.log(`📥 Stored ${fileUrls.length} uploaded files for ${orderCode} on ${storage.name} storage.`);
+    return { ok: true, files: results, fileUrls, publicIds };
+  } finally {
+    await discardUploads(uploadedFiles);
+  }
+}
+
+// Removes multer's staged copies, and the order's staging directory once it is empty.
+async function discardUploads(uploadedFiles = []) {
+  await Promise.all(uploadedFiles.map(f => fs.promises.unlink(f.path).catch(() => null)));
+  const dirs = new Set(uploadedFiles.map(f => path.dirname(f.path)));
+  await Promise.all([...dirs].map(dir => fs.promises.rmdir(dir).catch(() => null)));
+}
+
+module.exports = { storeOrderUploads, discardUploads };
@@ -1,105 +1,223 @@
 require('dotenv').config();
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { PDFDocument, rgb, StandardFonts, degrees } = require('pdf-lib');
 const sharp = require('sharp');
-const axios = require('axios');
-const cloudinary = require('cloudinary').v2;
+const storage = require('./storage');
+const { printSegments, selectedPageIndices } = require('./page_ranges');
+const { normalizeLayout, isImposed, gridFor, bookletSides, faceSegments } = require('./page_layout');
+
+// Portrait sheet sizes in PDF points. Orders are priced per paper size, so pages are
+// printed at that size; a size not listed here keeps the source page size.
+const PAPER_SIZES = {
+    a3: [841.89, 1190.55],
+    a4: [595.28, 841.89],
+    a5: [419.53, 595.28],
+    letter: [612, 792],
+    legal: [612, 1008],
+};
+
+function sheetSizeFor(paperSize) {
+    const key = String(paperSize || '').toLowerCase();
+    if (PAPER_SIZES[key]) return PAPER_SIZES[key];
+    if (key.includes('bond')) return PAPER_SIZES.a4; // "Bond Paper (A4)"
+    return null;
+}
 
 /**
- * Adds a watermark to a PDF or Image using explicit Order ID and Order Code
+ * Lays a source page out on a sheet, or in one cell of an imposed sheet: scaled to fit
+ * inside the margins and centred.
+ *
+ * Landscape content in a portrait box is turned 90° to fill it instead of being shrunk.
+ * Content counts as landscape when its displayed shape (after the page's own /Rotate) is
+ * wider than tall, or when the file's orientation says so; an explicit 'portrait' keeps it
+ * upright. Without a known paper size the sheet is the displayed source page itself.
  */
-async function applyWatermark(fileUrl, orderId, orderCode, index = 1, explicitPublicId = null) {
-    try {
-        const { configB, getSignedUrl } = require('./cloudinary');
-        cloudinary.config(configB);
+function layoutPage(embeddedPage, sourceRotation, sheetSize, orientation, cell = null) {
+    const { width, height } = embeddedPage;
+    const quarterTurned = sourceRotation % 180 !== 0;
+    const shownW = quarterTurned ? height : width;
+    const shownH = quarterTurned ? width : height;
+
+    const sheet = sheetSize || [shownW, shownH];
+    const box = cell || { x: 0, y: 0, width: sheet[0], height: sheet[1], marginX: 10, marginY: 20 };
+    const isLandscape = orientation === 'landscape' || (orientation !== 'portrait' && shownW > shownH);
+    const turn = sheetSize && isLandscape && box.width < box.height ? 90 : 0;
+
+    // pdf-lib rotates counter-clockwise about (x, y); /Rotate is clockwise.
+    const rotation = (360 - sourceRotation + turn) % 360;
+    const fitW = rotation % 180 === 0 ? width : height;
+    const fitH = rotation % 180 === 0 ? height : width;
+    const scale = sheetSize
+        ? Math.min((box.width - 2 * box.marginX) / fitW, (box.height - 2 * box.marginY) / fitH)
+        : 1.0;
+    const w = width * scale;
+    const h = height * scale;
 
-        const isPdfDetected = fileUrl.toLowerCase().includes('.pdf');
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    const origin = {
+        0: { x: cx - w / 2, y: cy - h / 2 },
+        90: { x: cx + h / 2, y: cy - w / 2 },
+        180: { x: cx + w / 2, y: cy + h / 2 },
+        270: { x: cx - h / 2, y: cy + w / 2 },
+    }[rotation];
 
+    return { sheet, draw: { ...origin, width: w, height: h, rotate: degrees(rotation) } };
+}
+
+/**
+ * The printed sides of an imposed file, as arrays of positions into its selected pages
+ * (null for a blank cell), plus the cell grid they are laid out on. N-up restarts a side
+ * at every page range, matching how faceSegments prices it.
+ */
+function imposedSides(file, pageCount) {
+    const layout = normalizeLayout(file);
+    if (layout.booklet) {
+        return { grid: { cols: 2, rows: 1, landscapeSheet: true }, sides: bookletSides(pageCount) };
+    }
+
+    const n = layout.pagesPerSheet;
+    const sides = [];
+    let position = 0;
+    // Without ranges the whole document prints, however many pages it really has.
+    const segments = selectedPageIndices(file) ? printSegments(file) : [{ pages: pageCount }];
+    for (const segment of segments) {
+        for (let start = 0; start < segment.pages; start += n) {
+            const side = [];
+            for (let k = start; k < Math.min(start + n, segment.pages); k++) side.push(position + k);
+            sides.push(side);
+        }
+        position += segment.pages;
+    }
+    return { grid: gridFor(n), sides };
+}
+
+/**
+ * Output pages (1-based, after any leading order-code page) that print in colour, as
+ * [{ from, to }]. Null when the file has no page ranges and prints at a single colour.
+ */
+function colorRangesFor(file, pageOffset) {
+    if (!file || !selectedPageIndices(file)) return null;
+    const ranges = [];
+    let outputPage = pageOffset + 1;
+    for (const segment of faceSegments(file)) {
+        if (segment.color === 'COLOR') {
+            const last = ranges[ranges.length - 1];
+            if (last && last.to === outputPage - 1) last.to = outputPage + segment.faces - 1;
+            else ranges.push({ from: outputPage, to: outputPage + segment.faces - 1 });
+        }
+        outputPage += segment.faces;
+    }
+    return ranges;
+}
+
+/**
+ * Adds a watermark to a PDF or Image using explicit Order ID and Order Code
+ *
+ * `options.file` is the printSettings file: when it has pageRanges the output PDF holds
+ * only the selected pages, in range order. `options.selectOnly` applies the selection
+ * without any order-code marking (orders that print a cover page instead). Pages are
+ * printed at the file's `paperSize` (falling back to `options.paperSize`, the order's)
+ * with the file's `orientation` honoured; see layoutPage. Files with `pagesPerSheet` or
+ * `booklet` are imposed several pages to a side (see page_layout.js).
+ * `options.keepOriginal` leaves the uploaded file in place, so a retried job can read
+ * it again.
+ */
+async function applyWatermark(fileUrl, orderId, orderCode, index = 1, explicitPublicId = null, printMode = 'xeroxShop', options = {}) {
+    try {
         // 📂 FOLDER SETTINGS
         const folderName = 'xerox_processed_orders';
         const fileName = `${orderCode}_${index}`;
         const finalPublicIdWithFolder = `${folderName}/${fileName}`;
 
-        const isRaw = fileUrl.toLowerCase().includes('/raw/upload/');
-        let discoveredResourceType = isRaw ? 'raw' : 'image';
-
-        // 🚀 Resolve ORIGINAL Public ID for fetching & deletion
-        let fetchPublicId = explicitPublicId;
-        if (!fetchPublicId) {
-            const uploadSplit = fileUrl.split('/upload/');
-            if (uploadSplit.length > 1) {
-                const pathSegments = uploadSplit[1].split('?')[0].split('/');
-                const cleanSegments = pathSegments.filter(p => !p.startsWith('s--') && !/^v\d+$/.test(p));
-                fetchPublicId = cleanSegments.join('/');
-            }
-        }
-        if (!isRaw && fetchPublicId && fetchPublicId.includes('.')) {
-            fetchPublicId = fetchPublicId.split('.').slice(0, -1).join('.');
-        }
-
         console.log(`💧 Watermarking [Xerox Shop]: Order=${orderId}, Target=${finalPublicIdWithFolder}`);
-        
-        let response;
-        try {
-            const authenticatedUrl = cloudinary.utils.private_download_url(fetchPublicId, isPdfDetected ? 'pdf' : null, {
-                resource_type: discoveredResourceType,
-                type: 'upload'
-            });
-            response = await axios.get(authenticatedUrl, { responseType: 'arraybuffer' });
-        } catch (e) {
-            response = await axios.get(fileUrl, { responseType: 'arraybuffer' });
-        }
 
-        const buffer = Buffer.from(response.data);
-        const contentType = response.headers['content-type'] || '';
-        const isPdfType = contentType.includes('pdf') || isPdfDetected;
+        // 🚀 ORIGINAL Public ID is kept for deletion below
+        const { buffer, isPdf: isPdfType, publicId: fetchPublicId, resourceType: discoveredResourceType } =
+            await storage.get(fileUrl, explicitPublicId);
 
         let processedBuffer;
+        let colorRanges = null;
 
         if (isPdfType) {
             const pdfDoc = await PDFDocument.load(buffer);
             const newPdfDoc = await PDFDocument.create();
             const helveticaFont = await newPdfDoc.embedFont(StandardFonts.HelveticaBold);
-            const LETTER_WIDTH = 612;
-            const LETTER_HEIGHT = 792;
-            const copiedPages = await newPdfDoc.copyPages(pdfDoc, pdfDoc.getPageIndices());
+            const file = options.file || {};
+            const sheetSize = sheetSizeFor(file.paperSize || options.paperSize);
+            const orientation = String(file.orientation || '').toLowerCase();
+            const pageIndices = selectedPageIndices(file) || pdfDoc.getPageIndices();
+            if (pageIndices.some(i => i >= pdfDoc.getPageCount())) {
+                throw new Error(`Page range exceeds document length (${pdfDoc.getPageCount()} pages)`);
+            }
+            const copiedPages = await newPdfDoc.copyPages(pdfDoc, pageIndices);
             const embeddedPages = await newPdfDoc.embedPages(copiedPages);
 
-            const hasExtraPage = embeddedPages.length > 5;
+            const markPages = !options.selectOnly;
+            const imposed = isImposed(normalizeLayout(file));
+            const imposition = imposed ? imposedSides(file, embeddedPages.length) : null;
+            const outputCount = imposed ? imposition.sides.length : embeddedPages.length;
+            const hasExtraPage = markPages && outputCount > 5;
+            colorRanges = colorRangesFor(options.file, hasExtraPage ? 1 : 0);
+
+            const sourceRotationOf = (i) => ((copiedPages[i].getRotation().angle % 360) + 360) % 360;
+            const stamp = (newPage, sheet) => {
+                // Only apply watermark if NOT above 5 pages
+                if (markPages && !hasExtraPage) {
+                    newPage.drawText(`#${orderCode}`, {
+                        x: sheet[0] - 45, y: 10, size: 9, font: helveticaFont,
+                        color: rgb(0, 0, 0), opacity: 0.8,
+                    });
+                }
+            };
 
             if (hasExtraPage) {
                 // Add the extra blank page at the start
-                const firstPage = newPdfDoc.addPage([LETTER_WIDTH, LETTER_HEIGHT]);
+                const [firstW, firstH] = sheetSize || [embeddedPages[0].width, embeddedPages[0].height];
+                const firstPage = newPdfDoc.addPage([firstW, firstH]);
                 
                 // Write unique code very lightly in B&W in the center of the page
                 firstPage.drawText(`ORDER CODE: #${orderCode}`, {
-                    x: LETTER_WIDTH / 2 - 120,
-                    y: LETTER_HEIGHT / 2,
+                    x: firstW / 2 - 120,
+                    y: firstH / 2,
                     size: 20,
                     font: helveticaFont,
                     color: rgb(0.6, 0.6, 0.6), // Light grey for B&W print compatibility
                 });
             }
 
-            for (let i = 0; i < embeddedPages.length; i++) {
-                const embeddedPage = embeddedPages[i];
-                const { width, height } = embeddedPage;
-                const newPage = newPdfDoc.addPage([LETTER_WIDTH, LETTER_HEIGHT]);
-                const scaleX = (LETTER_WIDTH - 20) / width;
-                const scaleY = (LETTER_HEIGHT - 40) / height;
-                const finalScale = Math.min(scaleX, scaleY, 1.0); 
-                const finalWidth = width * finalScale;
-                const finalHeight = height * finalScale;
-                const x = (LETTER_WIDTH - finalWidth) / 2;
-                const y = (LETTER_HEIGHT - finalHeight) / 2; 
-
-                newPage.drawPage(embeddedPage, { x, y, width: finalWidth, height: finalHeight });
+            if (imposed) {
+                // Imposed sheets need a real paper size; unknown sizes print on A4.
+                const [portraitW, portraitH] = sheetSize || PAPER_SIZES.a4;
+                const { grid, sides } = imposition;
+                const sheet = grid.landscapeSheet ? [portraitH, portraitW] : [portraitW, portraitH];
+                const cellW = sheet[0] / grid.cols;
+                const cellH = sheet[1] / grid.rows;
 
-                // Only apply watermark if NOT above 5 pages
-                if (!hasExtraPage) {
-                    newPage.drawText(`#${orderCode}`, {
-                        x: LETTER_WIDTH - 45, y: 10, size: 9, font: helveticaFont,
-                        color: rgb(0, 0, 0), opacity: 0.8,
+                for (const side of sides) {
+                    const newPage = newPdfDoc.addPage(sheet);
+                    side.forEach((pageIndex, k) => {
+                        if (pageIndex === null) return; // blank booklet padding
+                        const cell = {
+                            x: (k % grid.cols) * cellW,
+                            y: sheet[1] - (Math.floor(k / grid.cols) + 1) * cellH, // rows read top-down
+                            width: cellW,
+                            height: cellH,
+                            marginX: 6,
+                            marginY: 6,
+                        };
+                        const { draw } = layoutPage(embeddedPages[pageIndex], sourceRotationOf(pageIndex), sheet, orientation, cell);
+                        newPage.drawPage(embeddedPages[pageIndex], draw);
                     });
+                    stamp(newPage, sheet);
+                }
+            } else {
+                for (let i = 0; i < embeddedPages.length; i++) {
+                    const embeddedPage = embeddedPages[i];
+                    const { sheet, draw } = layoutPage(embeddedPage, sourceRotationOf(i), sheetSize, orientation);
+                    const newPage = newPdfDoc.addPage(sheet);
+
+                    newPage.drawPage(embeddedPage, draw);
+                    stamp(newPage, sheet);
                 }
             }
             processedBuffer = Buffer.from(await newPdfDoc.save());
@@ -113,71 +231,38 @@ async function applyWatermark(fileUrl, orderId, orderCode, index = 1, explicitPu
         }
 
         // 📤 UPLOAD
-        const result = await new Promise((resolve, reject) => {
-            const uploadOptions = {
-                folder: folderName,
-                public_id: fileName, // Cloudinary combines folder + public_id automatically
-                resource_type: discoveredResourceType, 
-                access_mode: 'public', 
-                overwrite: true,
-                invalidate: true 
-            };
-            if (isPdfType) uploadOptions.format = 'pdf';
-            const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-            });
-            uploadStream.end(processedBuffer);
+        const result = await storage.put(processedBuffer, {
+            folder: folderName,
+            publicId: fileName,
+            resourceType: discoveredResourceType,
+            format: isPdfType ? 'pdf' : null,
         });
 
-        // 🔓 FORCE PUBLIC
-        try {
-            await cloudinary.uploader.explicit(result.public_id, {
-                type: 'upload',
-                resource_type: discoveredResourceType,
-                access_mode: 'public',
-                invalidate: true
-            });
-        } catch (forceErr) {
-            console.warn(`⚠️ Force public failed: ${forceErr.message}`);
-        }
-
         // 🗑️ CLEANUP: Delete ORIGINAL
-        if (fetchPublicId && fetchPublicId !== result.public_id) {
+        if (fetchPublicId && fetchPublicId !== result.publicId && !options.keepOriginal) {
             try {
                 console.log(`🗑️ Deleting Original Asset: ${fetchPublicId} (Type: ${discoveredResourceType})`);
-                await cloudinary.uploader.destroy(fetchPublicId, { 
-                    resource_type: discoveredResourceType,
-                    invalidate: true 
-                });
+                await storage.delete([fetchPublicId], { alongside: fileUrl });
             } catch (delErr) {
                 console.log(`⚠️ Cleanup skipped: ${delErr.message}`);
             }
         }
 
-        let finalUrl = result.secure_url;
-        
-        // 🚀 LIVE PING: Check the URL using Private API Download (since Strict Delivery blocks CDN even when signed)
-        const testUrlOrigin = cloudinary.utils.private_download_url(result.public_id, isPdfType ? 'pdf' : null, {
-            resource_type: discoveredResourceType,
-            type: 'upload'
-        });
-        console.log(`📡 Verifying Accessibility (Private API): ${testUrlOrigin.split('?')[0]}...`);
-        try {
-            await axios.get(testUrlOrigin, { responseType: 'stream', timeout: 8000 });
-            console.log(`✅ URL Verified: 200 OK`);
-        } catch (pingErr) {
-            const status = pingErr.response?.status || 'Timeout';
-            console.error(`❌ URL VERIFICATION FAILED (Status: ${status}).`);
-            throw new Error(`Verification Failure: Document was not accessible (Status: ${status})`);
+        // 🚀 LIVE PING: Check the file is reachable through the storage API (Strict Delivery
+        // blocks the CDN even when signed)
+        console.log(`📡 Verifying Accessibility: ${result.publicId}...`);
+        if (!(await storage.exists(result.url, result.publicId))) {
+            console.error(`❌ URL VERIFICATION FAILED.`);
+            throw new Error(`Verification Failure: Document was not accessible`);
         }
+        console.log(`✅ URL Verified.`);
 
         console.log(`✅ Watermark Saved. Replacing CDN link with API Access link for strict delivery compatibility.`);
         
-        // Feed the Private Access URL directly back to the database instead of the blocked CDN URL
-        let exportUrl = isPdfType ? testUrlOrigin : finalUrl;
+        // Feed the private access link directly back to the database instead of the blocked CDN URL
+        const exportUrl = isPdfType ? storage.signedUrl(result.url, { publicId: result.publicId }) : result.url;
             
-        return { url: exportUrl, publicId: result.public_id };
+        return { url: exportUrl, publicId: result.publicId, colorRanges };
 
     } catch (err) {
         console.error("❌ Watermarking Failure:", err.message);
@@ -185,4 +270,4 @@ async function applyWatermark(fileUrl, orderId, orderCode, index = 1, explicitPu
     }
 }
 
-module.exports = { applyWatermark };
+module.exports = { applyWatermark, layoutPage };